@@ -1,234 +1,1797 @@
 #!/usr/bin/env node
 // @ts-check
 /**
- * Fetches project from GitHub, builds it, creates draft GitHub release and
- * uploads binaries there.
+ * Fetches project from GitHub (or a local directory or git repository),
+ * builds it, creates draft GitHub release and uploads binaries there.
  *
  * Delegates signing to Windows running in Parallels, by putting the build
- * products to sign into a shared folder.
+ * products to sign into a shared folder, or to a signer service over HTTP(S),
+ * or signs Windows binaries with osslsigncode using a PFX file.
  *
- * Must be run on macOS.
+ * Runs on macOS (all platforms) or Linux (Windows and Linux).
  */
 
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
+const readline = require('readline');
 const { spawn } = require('child_process');
 const rimraf = require('rimraf');
+const mkdirp = require('mkdirp');
+const copy = require('recursive-copy');
 const program = require('commander');
 const semver = require('semver-extra');
-const ManifestMaker = require('@peerio/update-maker');
 const {
-    makeTempDir, criticalError, execp,
-    getFileNames, writeFile, readFile
+    makeTempDir, criticalError, execp, confirm,
+    getFileNames, writeFile, readFile, commandExists
 } = require('./helpers');
+const { authenticate } = require('./github');
+const { LOCKFILE_NAME, writeLockfile, readLockfile } = require('./lockfile');
 const {
-    authenticate, downloadTagArchive, uploadReleaseAsset,
-    deleteReleaseAssets, getLatestTag, getCommitSHA
-} = require('./github');
-const { override } = require('./override');
+    DEFAULT_CHANNEL, MANIFEST_INFO_FILE, parseArtifactMapping, resolveArtifactMapping, resolveChannels,
+    listArtifacts, unlockManifestKey, generateManifests, makeUpdaterManifest, readManifestInfo, writeManifestInfo
+} = require('./manifest');
+const { createSource } = require('./sources');
+const { LOG_FILE, EVENTS_FILE, BuildLog } = require('./buildlog');
+const { DEFAULT_STRATEGY, STRATEGY_NAMES, computeVersion } = require('./versioning');
+const {
+    KEY_FROM_PARENT_VARIABLE, createRemoteMakerFactory, runVariantBuild, stripOptions,
+    checkVariantOptions, runLimited, formatVariantSummary
+} = require('./variants');
+const {
+    DEFAULT_CACHE_DIR, getCacheEntry, getNpmCacheDir, restoreModules, saveEntry,
+    listEntries, pruneEntries, formatEntries
+} = require('./depcache');
+const { CHECKSUMS_FILE, writeChecksums, readChecksums, verifyChecksums, signChecksums } = require('./checksums');
+const { PROVENANCE_FILE, getToolVersions, describeArtifacts, writeProvenance } = require('./provenance');
+const { RELEASE_NOTES_FILE, formatReleaseNotes } = require('./releasenotes');
+const {
+    parseOverridesSpec, describeOverrides, isWorkingTree, runGit, fetchOverridesChain,
+    getOverridesTags, getOverridesChanges, hasRemoteTag, deleteRemoteTag
+} = require('./overridesrepo');
+const { createPublisher, getContentType } = require('./publishers');
+const { ReleaseJournal } = require('./journal');
+const { loadProfile, applyProfile } = require('./config');
+const { DEFAULT_TIMEOUT: DEFAULT_SIGN_TIMEOUT } = require('./signservice');
+const {
+    REPOSITORY_LAYOUT, override, checkUpstreamChanges, readReportFile, formatReport
+} = require('./override');
 
-if (process.platform !== 'darwin') {
-    console.error('Run this program on macOS (for macOS, Windows, Linux builder)');
-    process.exit(1);
-}
+// Everything printed goes to build log (with secrets redacted).
+const log = new BuildLog();
+log.captureConsole();
+
+/* Build steps in order, see runSteps() */
+const STEP_NAMES = ['fetch', 'override', 'install', 'dist', 'package', 'manifest', 'publish'];
+
+/* Config file with release profiles used by default */
+const DEFAULT_CONFIG_FILE = 'release-profiles.json';
 
 program
-    .usage('--shared <dir> --repository <repo> [--tag [name]] [--publish | --destination <dir>] [--key [filename]]')
+    .usage('--shared <dir> --repository <repo> [--tag [name]] [--publish | --destination <dir>] [--work-dir <dir>] [--key [filename]]\n' +
+        '       peerio-desktop-release yank <version> --repository <repo> --key [filename] [--dry-run]\n' +
+        '       peerio-desktop-release promote <version> --repository <repo> --key [filename] [--promote-from <location>] [--dry-run]')
+    .option('-c --config <file>', `Config file with release profiles (default: ${DEFAULT_CONFIG_FILE})`)
+    .option('-f --profile <name>', 'Release profile to take options from (command line options take precedence)')
     .option('-s --shared <dir>', 'Shared directory between macOS and Windows')
+    .option('-g --signer <url>', 'URL of Windows signer service (instead of --shared, token in SIGNER_TOKEN)')
+    .option('--pfx <file>', 'Sign Windows release with osslsigncode using PFX file (password in WIN_CSC_KEY_PASSWORD)')
+    .option('--sign-timeout <minutes>', 'Fail if signing of a file takes longer than this (30 minutes by default)', parseFloat)
     .option('-r --repository <repo>', 'Repository in ORGANIZATION/REPO format ')
     .option('-t --tag [name]', 'Source tag or branch name (latest tag by default)')
+    .option('-S --source <location>', 'Build from local directory or git URL instead of GitHub tag archive')
     .option('-p --publish', 'Publish release')
-    .option('-P --platforms [list]', 'Comma-separated list of platforms (win,mac,linux)')
+    .option('-T --publish-to <target>', 'Publish to: github (default), directory, s3://bucket/prefix or http(s):// URL')
+    .option('-U --base-url <url>', 'Public URL of published files (for directory, S3 and HTTP publishers)')
+    .option('--s3-endpoint <url>', 'S3-compatible service endpoint (AWS by default)')
+    .option('-P --platforms [list]', 'Comma-separated list of platforms (win,mac,linux; all supported by this host by default)')
     .option('-a --prerelease', 'Mark as pre-release on GitHub (if not set, marked as draft)')
     .option('-d --destination <dir>', 'Destination directory for build results (without --publish)')
-    .option('-o --overrides <repolist>', 'Repositories with overrides (comma-separated, release will be published in the last one)', s => s.split(','))
+    .option('-o --overrides <repolist>', 'Overrides (comma-separated ORG/REPO, git URLs or directories, with optional #ref; release will be published in the last one)', s => s.split(','))
     .option('-n --nosign', 'Do not sign Windows release')
     .option('-k --key [filename]', 'Path to Peerio Updater secret key file')
-    .option('-V --versioning [suffix]', 'Versioning based on override tag + 0.0.1 (optional suffix: "staging", "nightly")')
+    .option('--checksums-gpg-key <id>', 'Sign SHA256SUMS with this GPG key (instead of update manifest key)')
+    .option('-V --versioning [suffix]', 'Custom versioning in overrides repository (optional suffix: "staging", "nightly")')
+    .option('--versioning-strategy <name>', `Custom versioning strategy: ${STRATEGY_NAMES.join(', ')} (default: ${DEFAULT_STRATEGY})`)
+    .option('--manifest-artifacts <file>', 'JSON file mapping update manifest platforms to artifact patterns')
+    .option('--channels <list>', 'Update channels with optional rollout percentage, e.g. "stable:20,beta" (--versioning suffix or stable by default)')
+    .option('--rollout-start <time>', 'Start time of staged rollout in ISO format (now by default)')
+    .option('--halt', 'Halt rollout of the release in its update channels')
+    .option('--unhalt', 'Resume halted rollout of the release in its update channels')
+    .option('--republish-manifest <version>', 'Re-make and publish update manifests of a published release with new channels or rollout (without rebuilding)')
+    .option('--dep-cache <dir>', `npm dependency cache directory (default: ${DEFAULT_CACHE_DIR})`)
+    .option('--fresh-deps', 'Install npm dependencies without cache')
+    .option('--npm-ci', 'Install npm dependencies with npm ci (requires package-lock.json)')
+    .option('--list-dep-cache', 'List npm dependency cache entries and exit')
+    .option('--prune-dep-cache <days>', 'Remove npm dependency cache entries not used for this many days (0 for all) and exit', parseFloat)
+    .option('-W --work-dir <dir>', 'Keep sources, build and its state in this directory to rerun steps (instead of --destination)')
+    .option('--from-step <step>', `Rerun build in --work-dir from this step (${STEP_NAMES.join(', ')})`)
+    .option('--only-step <step>', 'Run only this step of build in --work-dir')
+    .option('--variants <profiles>', 'Build variants with these release profiles (comma-separated) from one download of sources')
+    .option('--parallel <n>', 'Build up to this many variants at a time (1 by default)', s => parseInt(s, 10))
+    .option('-R --resume <journal>', 'Resume interrupted publishing from release journal (without rebuilding)')
+    .option('-L --locked <lockfile>', 'Rebuild from commits in lockfile of a previous release (replaces --tag, --source and --overrides)')
+    .option('--previous-report <file>', 'Override report of the previous release to warn about replaced files changed upstream')
+    .option('--plan', 'Print what the release would do without building, publishing or tagging anything')
+    .option('--previous-version <version>', 'yank: version to re-publish update manifests of (the previous release by default)')
+    .option('--delete-release', 'yank: delete the release instead of marking it as yanked (GitHub only)')
+    .option('--promote-from <location>', 'promote: release location (ORGANIZATION/REPO or --publish-to target) to take files from (the target by default)')
+    .option('--promote-from-base-url <url>', 'promote: public URL of files in --promote-from directory or S3 location, which its update manifests point to')
+    .option('--dry-run', 'yank, promote: print what would be done without changing anything')
+    .option('-y --yes', 'yank, promote: don\'t ask for confirmation')
     .parse(process.argv);
 
-if ((!program.shared && !program.nosign) || !program.repository) {
+if (program.profile) {
+    try {
+        applyProfile(program, loadProfile(program.config || DEFAULT_CONFIG_FILE, program.profile));
+    } catch (ex) {
+        console.error(`Error: ${ex.message}`);
+        process.exit(1);
+    }
+}
+
+const DEP_CACHE_DIR = program.depCache || DEFAULT_CACHE_DIR;
+
+if (program.listDepCache || program.pruneDepCache !== undefined) {
+    if (program.pruneDepCache !== undefined) {
+        if (!(program.pruneDepCache >= 0)) {
+            console.error('Error: --prune-dep-cache requires a number of days.');
+            process.exit(1);
+        }
+        const removed = pruneEntries(DEP_CACHE_DIR, program.pruneDepCache);
+        removed.forEach(({ key }) => console.log(`Removed ${key}`));
+        console.log(`Removed ${removed.length} entries from ${DEP_CACHE_DIR}`);
+    }
+    if (program.listDepCache) {
+        console.log(formatEntries(listEntries(DEP_CACHE_DIR)));
+    }
+    process.exit(0);
+}
+
+/* Options saved in release journal to resume publishing with */
+const JOURNAL_OPTIONS = [
+    'repository', 'overrides', 'publishTo', 'baseUrl', 's3Endpoint', 'prerelease',
+    'versioning', 'versioningStrategy', 'channels', 'rolloutStart', 'halt', 'unhalt', 'source', 'tag',
+    'platforms', 'publish', 'key', 'checksumsGpgKey', 'nosign', 'shared', 'signer', 'pfx', 'signTimeout'
+];
+
+/* Journal options of which only one can be given, restored together on rerun */
+const SIGNING_OPTIONS = ['nosign', 'shared', 'signer', 'pfx'];
+
+/* Release journal in work directory */
+const JOURNAL_FILE = 'journal.json';
+
+let journal;
+/* Build step being run (see runSteps()) */
+let currentStep = null;
+if (program.resume) {
+    try {
+        journal = ReleaseJournal.load(program.resume);
+    } catch (ex) {
+        console.error(`Error: ${ex.message}`);
+        process.exit(1);
+    }
+    // Key may be given to make manifests that were not made before.
+    const key = program.key;
+    JOURNAL_OPTIONS.forEach(name => {
+        program[name] = journal.data.options[name];
+    });
+    if (key) program.key = key;
+    // Binaries are already built and signed.
+    program.publish = true;
+    program.nosign = true;
+    program.shared = undefined;
+    program.signer = undefined;
+    program.pfx = undefined;
+}
+
+if (program.workDir && fs.existsSync(path.join(program.workDir, JOURNAL_FILE))) {
+    // Continue build in work directory with its options,
+    // unless they are given on command line.
+    try {
+        journal = ReleaseJournal.load(path.join(program.workDir, JOURNAL_FILE));
+    } catch (ex) {
+        console.error(`Error: ${ex.message}`);
+        process.exit(1);
+    }
+    const signingGiven = SIGNING_OPTIONS.some(name => program[name] !== undefined);
+    JOURNAL_OPTIONS.forEach(name => {
+        if (program[name] !== undefined) return;
+        if (signingGiven && SIGNING_OPTIONS.indexOf(name) >= 0) return;
+        program[name] = journal.data.options[name];
+    });
+}
+
+[program.fromStep, program.onlyStep].filter(Boolean).forEach(step => {
+    if (STEP_NAMES.indexOf(step) < 0) {
+        console.error(`Error: unknown step ${step} (expected ${STEP_NAMES.join(', ')})`);
+        process.exit(1);
+    }
+});
+
+if ((program.fromStep || program.onlyStep) && !program.workDir) {
+    console.error('Error: --from-step and --only-step require --work-dir.');
+    process.exit(1);
+}
+
+let VARIANTS = [];
+if (program.variants) {
+    if (program.profile) {
+        console.error('Error: --variants can\'t be used with --profile, every variant is built with its own profile.');
+        process.exit(1);
+    }
+    if (program.resume || program.republishManifest || program.plan || program.locked) {
+        console.error('Error: --variants can\'t be used with --resume, --republish-manifest, --plan or --locked.');
+        process.exit(1);
+    }
+    VARIANTS = program.variants.split(',').map(s => s.trim());
+    const errors = [];
+    VARIANTS.forEach(name => {
+        try {
+            checkVariantOptions(loadProfile(program.config || DEFAULT_CONFIG_FILE, name))
+                .forEach(e => errors.push(`${name}: ${e}`));
+        } catch (ex) {
+            errors.push(ex.message);
+        }
+    });
+    if (errors.length) {
+        console.error(`Error: invalid variants:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+        process.exit(1);
+    }
+}
+
+if (program.parallel !== undefined && !(program.parallel >= 1)) {
+    console.error('Error: --parallel must be a positive number.');
+    process.exit(1);
+}
+
+if (program.fromStep && program.onlyStep) {
+    console.error('Error: only one of --from-step and --only-step is allowed.');
+    process.exit(1);
+}
+
+if (program.republishManifest) {
+    if (!program.key) {
+        console.error('Error: --republish-manifest requires --key.');
+        process.exit(1);
+    }
+    // Only the manifests are re-made from published release files.
+    program.publish = true;
+    program.nosign = true;
+    program.shared = undefined;
+    program.signer = undefined;
+    program.pfx = undefined;
+}
+
+/* Commands given as the first argument, building is the default */
+const COMMANDS = ['yank', 'promote'];
+const COMMAND = program.args[0];
+
+if (COMMAND !== undefined && COMMANDS.indexOf(COMMAND) < 0) {
+    console.error(`Error: unknown command ${COMMAND} (expected ${COMMANDS.join(', ')})`);
+    process.exit(1);
+}
+
+if (COMMAND !== undefined) {
+    if (program.args.length !== 2) {
+        console.error(`Error: ${COMMAND} requires a version, e.g. "${COMMAND} v3.1.0".`);
+        process.exit(1);
+    }
+    if (!program.key) {
+        console.error(`Error: ${COMMAND} requires --key to re-sign update manifests.`);
+        process.exit(1);
+    }
+    if (program.resume || program.republishManifest || program.plan || program.locked ||
+        program.variants || program.workDir || program.destination) {
+        console.error(`Error: ${COMMAND} can't be used with --resume, --republish-manifest, --plan, --locked, ` +
+            '--variants, --work-dir or --destination.');
+        process.exit(1);
+    }
+    // Nothing is built, published files are changed.
+    program.publish = true;
+    program.nosign = true;
+    program.shared = undefined;
+    program.signer = undefined;
+    program.pfx = undefined;
+} else if (program.dryRun || program.yes) {
+    console.error('Error: --dry-run and --yes are only for yank and promote.');
+    process.exit(1);
+}
+
+if (COMMAND !== 'yank' && (program.previousVersion || program.deleteRelease)) {
+    console.error('Error: --previous-version and --delete-release are only for yank.');
+    process.exit(1);
+}
+
+if (COMMAND !== 'promote' && program.promoteFrom) {
+    console.error('Error: --promote-from is only for promote.');
+    process.exit(1);
+}
+
+if (program.halt && program.unhalt) {
+    console.error('Error: --halt and --unhalt can\'t be used together.');
+    process.exit(1);
+}
+
+if (program.promoteFromBaseUrl && !program.promoteFrom) {
+    console.error('Error: --promote-from-base-url requires --promote-from.');
+    process.exit(1);
+}
+
+if (program.locked) {
+    let lock;
+    try {
+        lock = readLockfile(program.locked);
+    } catch (ex) {
+        console.error(`Error: ${ex.message}`);
+        process.exit(1);
+    }
+    program.repository = program.repository || lock.repository;
+    program.tag = lock.source.commit;
+    program.source = lock.source.location || undefined;
+    program.overrides = lock.overrides.length
+        ? lock.overrides.map(o => `${o.location}#${o.commit}`)
+        : undefined;
+}
+
+if ((!program.shared && !program.signer && !program.pfx && !program.nosign) || !program.repository) {
+    program.outputHelp();
+    process.exit(1);
+}
+
+if ((!program.publish && !program.destination && !program.workDir) ||
+    (program.publish && program.destination)) {
+    console.error('Error: either --publish or --destination flag required, but not both.')
+    program.outputHelp();
+    process.exit(1);
+}
+
+if (program.destination && program.workDir) {
+    console.error('Error: --destination can\'t be used with --work-dir, build results stay in work directory.')
+    process.exit(1);
+}
+
+if ([program.shared, program.signer, program.pfx, program.nosign].filter(Boolean).length > 1) {
+    console.error('Error: only one of --shared, --signer, --pfx or --nosign flags is allowed.')
+    program.outputHelp();
+    process.exit(1);
+}
+
+if (program.signer && !process.env.SIGNER_TOKEN) {
+    console.error('Please set SIGNER_TOKEN environment variable to the token of Windows signer service');
+    process.exit(2);
+}
+
+// Variants have overrides in their profiles.
+if (program.versioning && !program.variants && (!program.overrides || program.overrides.length === 0)) {
+    console.error('Error: --versioning requires --overrides.')
     program.outputHelp();
     process.exit(1);
 }
 
-if ((!program.publish && !program.destination) ||
-    (program.publish && program.destination)) {
-    console.error('Error: either --publish or --destination flag required, but not both.')
-    program.outputHelp();
-    process.exit(1);
+if (program.versioningStrategy) {
+    if (!program.versioning) {
+        console.error('Error: --versioning-strategy requires --versioning.');
+        process.exit(1);
+    }
+    if (STRATEGY_NAMES.indexOf(program.versioningStrategy) < 0) {
+        console.error(`Error: unknown versioning strategy ${program.versioningStrategy} (expected ${STRATEGY_NAMES.join(', ')})`);
+        process.exit(1);
+    }
+    // Versions that differ only in build metadata have the same precedence,
+    // so clients wouldn't update from one to another.
+    if (program.versioningStrategy === 'build' && program.publish) {
+        console.error('Error: build versioning can\'t be used with --publish, it\'s for --destination builds.');
+        process.exit(1);
+    }
+}
+
+const RELEASE_OVERRIDES_DIR = 'release';
+
+/* Directory with build logs in build result */
+const LOGS_DIR = 'logs';
+
+/* Directories in work directory with fetched sources and sources being built */
+const FETCH_DIR = 'fetch';
+const BUILD_DIR = 'build';
+
+/* Directory in work directory of multi-variant run with variant work directories */
+const VARIANTS_DIR = 'variants';
+
+/* Journal data of "fetch" step, shared by variants */
+const FETCH_RESULTS = ['ref', 'fetchedDir', 'sourceCommit', 'sourceChanges', 'startedAt'];
+
+/* Options of multi-variant run that variant builds don't get: flags and whether they take a value */
+const NOT_VARIANT_OPTIONS = [
+    [['--variants'], true],
+    [['--parallel'], true],
+    [['-W', '--work-dir'], true],
+    [['-d', '--destination'], true],
+    [['-k', '--key'], true],
+    [['--from-step'], true],
+    [['--only-step'], true]
+];
+
+/* Report of applied overrides saved among build results */
+const OVERRIDE_REPORT_FILE = 'override-report.json';
+
+/* RegExp for files to delete from release after uploading */
+const FILES_TO_DELETE = /^(latest(.*)\.(yml|json))|((.*)\.blockmap)$/;
+
+/* RegExp for files in dist directory that are not release assets */
+const FILES_TO_SKIP = /^(builder-(.*)\.ya?ml|manifest(-[\w-]+)?\.txt)$/;
+
+/* Host platforms that can build each target platform and tools they need */
+const TARGET_REQUIREMENTS = {
+    mac: { hosts: ['darwin'] },
+    windows: { hosts: ['darwin', 'linux'], tools: { linux: ['wine'] } },
+    linux: { hosts: ['darwin', 'linux'] }
+};
+
+// Nothing is built when resuming, re-publishing manifests or running commands.
+const PLATFORMS = program.resume || program.republishManifest || COMMAND ? [] : resolvePlatforms();
+
+// Get input and output directory.
+const SHARED_DIR = program.shared;
+const [GITHUB_OWNER, GITHUB_REPO] = program.repository.split('/');
+let GITHUB_TAG = program.tag;
+
+let source;
+try {
+    source = createSource(program.source, GITHUB_TAG, GITHUB_OWNER, GITHUB_REPO);
+} catch (ex) {
+    console.error(`Error: ${ex.message}`);
+    process.exit(1);
+}
+
+// Mapping from profile (object) or command line (file name).
+let MANIFEST_ARTIFACTS;
+if (program.manifestArtifacts) {
+    try {
+        MANIFEST_ARTIFACTS = typeof program.manifestArtifacts === 'string'
+            ? JSON.parse(fs.readFileSync(program.manifestArtifacts, 'utf8'))
+            : program.manifestArtifacts;
+        parseArtifactMapping(MANIFEST_ARTIFACTS);
+    } catch (ex) {
+        const where = typeof program.manifestArtifacts === 'string' ? program.manifestArtifacts : 'profile';
+        console.error(`Error: ${where}: ${ex.message}`);
+        process.exit(1);
+    }
+}
+
+// Update channel of the release if --channels is not given.
+const RELEASE_CHANNEL = typeof program.versioning === 'string' ? program.versioning : DEFAULT_CHANNEL;
+try {
+    getChannels();
+} catch (ex) {
+    console.error(`Error: ${ex.message}`);
+    process.exit(1);
+}
+
+let previousReport = null;
+if (program.previousReport) {
+    try {
+        previousReport = readReportFile(program.previousReport);
+    } catch (ex) {
+        console.error(`Error: ${ex.message}`);
+        process.exit(1);
+    }
+}
+
+const PUBLISH_TO_GITHUB = !program.publishTo || program.publishTo === 'github';
+
+const GITHUB_AUTH_TOKEN = process.env.GH_TOKEN;
+if (!GITHUB_AUTH_TOKEN && program.publish && PUBLISH_TO_GITHUB && !program.variants) {
+    console.error(
+        'Please set GH_TOKEN environment variable to the correct GitHub ' +
+        'authentication token that has access to the given project'
+    );
+    process.exit(2);
+}
+
+if (GITHUB_AUTH_TOKEN) {
+    authenticate(GITHUB_AUTH_TOKEN);
+}
+
+let OVERRIDES;
+try {
+    OVERRIDES = (program.overrides || []).map(parseOverridesSpec);
+} catch (ex) {
+    console.error(`Error: ${ex.message}`);
+    process.exit(1);
+}
+
+// Release is published to the last overrides repository, if any
+// (and if it's on GitHub, otherwise to the source repository).
+const lastOverride = OVERRIDES[OVERRIDES.length - 1];
+const target = lastOverride && lastOverride.github
+    ? lastOverride.github
+    : program.repository;
+
+const [targetOwner, targetRepo] = target.split('/');
+
+let publisher;
+try {
+    publisher = createPublisher(program.publishTo, {
+        owner: targetOwner,
+        repo: targetRepo,
+        baseURL: program.baseUrl,
+        endpoint: program.s3Endpoint
+    });
+} catch (ex) {
+    console.error(`Error: ${ex.message}`);
+    process.exit(1);
+}
+
+// Release to promote is taken from the target, unless it's elsewhere.
+let promoteSource = publisher;
+if (program.promoteFrom) {
+    try {
+        const from = program.promoteFrom;
+        if (/^[\w.-]+\/[\w.-]+$/.test(from) && !fs.existsSync(from)) {
+            promoteSource = createPublisher('github', { owner: from.split('/')[0], repo: from.split('/')[1] });
+        } else if (!program.promoteFromBaseUrl && !/^https?:\/\//.test(from)) {
+            // Update manifests of the release are made again to check them.
+            throw new Error('--promote-from-base-url is required for directory and S3 --promote-from');
+        } else {
+            promoteSource = createPublisher(from, {
+                owner: null,
+                repo: null,
+                baseURL: program.promoteFromBaseUrl,
+                endpoint: program.s3Endpoint
+            });
+        }
+    } catch (ex) {
+        console.error(`Error: ${ex.message}`);
+        process.exit(1);
+    }
+}
+
+
+// Check that in/out directories exist.
+if (SHARED_DIR) {
+    const INPUT_DIR = path.join(SHARED_DIR, 'in');
+    const OUTPUT_DIR = path.join(SHARED_DIR, 'out');
+    try {
+        fs.accessSync(INPUT_DIR);
+    } catch (ex) {
+        console.error(`Cannot access input directory ${INPUT_DIR}`);
+        process.exit(3);
+    }
+
+    try {
+        fs.accessSync(OUTPUT_DIR);
+    } catch (ex) {
+        console.error(`Cannot access output directory ${OUTPUT_DIR}`);
+        process.exit(4);
+    }
+}
+
+if (program.destination && !program.plan) {
+    try {
+        fs.mkdirSync(program.destination);
+    } catch (ex) {
+        if (ex.code !== 'EEXIST') {
+            console.error(`Cannot access destination directory ${program.destination}`);
+            process.exit(4);
+        }
+    }
+}
+
+if (program.plan) {
+    plan().catch(criticalError);
+} else if (program.resume) {
+    resume().catch(criticalError);
+} else if (program.republishManifest) {
+    republishManifest().catch(criticalError);
+} else if (COMMAND === 'yank') {
+    yank(program.args[1]).catch(criticalError);
+} else if (COMMAND === 'promote') {
+    promote(program.args[1]).catch(criticalError);
+} else if (program.variants) {
+    buildVariants().catch(criticalError);
+} else {
+    main().catch(criticalError);
+}
+
+async function main() {
+    let workDir = program.workDir;
+    let failed = false;
+    try {
+        let newMaker;
+        if (process.env[KEY_FROM_PARENT_VARIABLE] && process.send) {
+            // Variant build: the key is unlocked by multi-variant run.
+            newMaker = createRemoteMakerFactory();
+        } else if (program.key) {
+            console.log('Unlocking peerio-updater key file');
+            newMaker = await unlockManifestKey(program.key);
+        }
+
+        if (workDir) {
+            mkdirp.sync(workDir);
+        } else {
+            // Create temporary directory for source and build files.
+            workDir = await makeTempDir();
+        }
+        log.open(path.join(workDir, LOGS_DIR));
+
+        const options = {};
+        JOURNAL_OPTIONS.forEach(name => {
+            options[name] = program[name];
+        });
+        // Reruns build the same platforms, not the ones this host supports now.
+        options.platforms = PLATFORMS.join(',');
+        if (journal) {
+            journal.set('options', options);
+        } else {
+            // Only temporary work directory is removed after --resume.
+            journal = new ReleaseJournal(path.join(workDir, JOURNAL_FILE), { options, tempWorkDir: !program.workDir });
+            journal.save();
+        }
+        if (journal.data.ref) {
+            GITHUB_TAG = journal.data.ref;
+        }
+
+        const steps = selectSteps();
+        if (steps.length === 0) {
+            console.log(`All steps are done in ${workDir}, use --from-step to rerun some of them.`);
+        } else {
+            await runSteps(steps, workDir, newMaker);
+        }
+    } catch (ex) {
+        failed = true;
+        reportResumable();
+        reportLog();
+        throw ex;
+    } finally {
+        if (workDir) cleanUpWorkDir(workDir, failed);
+    }
+}
+
+/**
+ * Removes or moves work directory of a build (or keeps it with --work-dir)
+ * and reports where build results are.
+ *
+ * Temporary work directory of a failed build keeps only logs, unless
+ * it was failed publishing of a built release: then the directory is kept
+ * with the journal to finish publishing with --resume.
+ *
+ * @param {string} workDir
+ * @param {boolean} failed whether the build failed
+ */
+function cleanUpWorkDir(workDir, failed) {
+    const data = journal ? journal.data : {};
+    const distDir = data.projectDir ? path.join(data.projectDir, 'dist') : null;
+    if (program.workDir) {
+        if (data.completed) removeTagDirs();
+        if (failed) return;
+        if (distDir) console.log(`Build result is in ${distDir}`);
+        console.log(`Build log is in ${path.join(workDir, LOGS_DIR)}`);
+    } else if (failed) {
+        if (program.publish && data.built) return;
+        removeTagDirs();
+        removeAllButLogs(workDir);
+        return;
+    } else if (program.publish) {
+        removeTagDirs();
+        rimraf.sync(workDir);
+    } else {
+        // Pristine sources are only needed to rerun steps.
+        rimraf.sync(path.join(workDir, FETCH_DIR));
+        const newPath = path.join(program.destination, path.basename(workDir));
+        fs.renameSync(workDir, newPath);
+        console.log(`Build result is in ${path.join(newPath, path.relative(workDir, distDir || workDir))}`);
+        console.log(`Build log is in ${path.join(newPath, LOGS_DIR)}`);
+    }
+    console.log(`\n${log.formatSummary()}`);
+}
+
+/**
+ * Removes everything but build logs from the directory.
+ *
+ * @param {string} dir
+ */
+function removeAllButLogs(dir) {
+    fs.readdirSync(dir)
+        .filter(name => name !== LOGS_DIR)
+        .forEach(name => rimraf.sync(path.join(dir, name)));
+}
+
+/**
+ * Returns names of steps to run: the one given with --only-step, steps
+ * from the one given with --from-step, or steps that are not done yet.
+ *
+ * @returns {string[]}
+ */
+function selectSteps() {
+    if (program.onlyStep) return [program.onlyStep];
+    const from = program.fromStep
+        ? STEP_NAMES.indexOf(program.fromStep)
+        : STEP_NAMES.findIndex(name => !journal.has('steps', name));
+    return from < 0 ? [] : STEP_NAMES.slice(from);
+}
+
+/**
+ * Runs build steps in order, recording each completed step in journal.
+ * Steps before the first one must be done already.
+ *
+ * @param {string[]} names step names in order (see STEP_NAMES)
+ * @param {string} workDir directory with sources, build and journal
+ * @param {import('./manifest').MakerFactory} [newMaker] makes manifest makers with unlocked key
+ */
+async function runSteps(names, workDir, newMaker) {
+    const run = {
+        fetch: () => fetchStep(workDir),
+        override: () => overrideStep(workDir),
+        install: installStep,
+        dist: distStep,
+        package: () => packageStep(newMaker),
+        manifest: () => manifestStep(newMaker),
+        publish: publishStep
+    };
+    const missing = STEP_NAMES.slice(0, STEP_NAMES.indexOf(names[0]))
+        .filter(name => !journal.has('steps', name));
+    if (missing.length) {
+        throw new Error(`Cannot run ${names[0]} step: steps ${missing.join(', ')} are not done in ${workDir}`);
+    }
+    // Steps that are rerun are not done until they succeed.
+    journal.set('steps', journal.data.steps.filter(name => names.indexOf(name) < 0));
+    for (let i = 0; i < names.length; i++) {
+        currentStep = names[i];
+        await log.phase(names[i], run[names[i]]);
+        journal.add('steps', names[i]);
+    }
+    currentStep = null;
+}
+
+/**
+ * "fetch" step: fetches sources into FETCH_DIR of work directory,
+ * where they're kept unchanged for the "override" step.
+ *
+ * @param {string} workDir
+ */
+async function fetchStep(workDir) {
+    journal.set('startedAt', new Date().toISOString());
+    GITHUB_TAG = program.tag || await source.getLatestTag();
+    journal.set('ref', GITHUB_TAG);
+    const fetchDir = path.join(workDir, FETCH_DIR);
+    rimraf.sync(fetchDir);
+    mkdirp.sync(fetchDir);
+    console.log(`Fetching ${source.describe(GITHUB_TAG)}...`);
+    journal.set('fetchedDir', await source.fetch(GITHUB_TAG, fetchDir));
+
+    sourceCommitSHA = null;
+    journal.set('sourceCommit', null);
+    journal.set('sourceCommit', await getSourceCommitSHA());
+    // Collect changes for release notes.
+    journal.set('sourceChanges', await collectChanges(program.repository, () => source.getChanges(GITHUB_TAG)));
+}
+
+/**
+ * "override" step: copies fetched sources into BUILD_DIR of work directory
+ * and applies release overrides and overrides repositories to them.
+ *
+ * @param {string} workDir
+ */
+async function overrideStep(workDir) {
+    const projectDir = path.join(workDir, BUILD_DIR);
+    rimraf.sync(projectDir);
+    await copy(journal.data.fetchedDir, projectDir, { dot: true });
+
+    let version = await readProjectVersion(projectDir);
+    console.log(`Building from version ${version}`);
+
+    // Apply release overrides.
+    console.log(`Applying overrides from ${RELEASE_OVERRIDES_DIR}`)
+    const overrideReports = [{
+        name: `${RELEASE_OVERRIDES_DIR} (in sources)`,
+        report: await override(projectDir, projectDir, {
+            jsonOverridesFile: path.join(RELEASE_OVERRIDES_DIR, 'json-overrides.json'),
+        })
+    }];
+    const changes = [journal.data.sourceChanges];
+
+    // Tags of the previous run are not pushed.
+    removeTagDirs();
+    journal.set('tags', []);
+
+    // Locked overrides are already a complete chain.
+    const layers = await fetchOverridesChain(OVERRIDES, !program.locked);
+    // Apply overrides from "whitelabel" repos.
+    try {
+        for (let i = 0; i < layers.length; i++) {
+            console.log(`Applying overrides from ${describeOverrides(layers[i].spec)}`);
+            const isLast = (i === layers.length - 1);
+            version = await applyOverrides(layers[i], projectDir, version, isLast, overrideReports, changes);
+            if (isLast) {
+                console.log(`Release will be published at ${target}`)
+            }
+        }
+    } catch (ex) {
+        // Layers after the failed one are not applied and not removed.
+        layers.forEach(layer => rimraf.sync(layer.dir));
+        throw ex;
+    }
+
+    if (previousReport) {
+        overrideReports.forEach(({ report }) => checkUpstreamChanges(report, previousReport));
+    }
+
+    journal.set('projectDir', projectDir);
+    journal.set('version', version);
+    journal.set('overrideReports', overrideReports);
+    journal.set('changes', changes);
+    journal.set('overridesInfo', layers.map(({ spec, commit }) => ({ spec: spec.spec, location: spec.location, commit })));
+}
+
+/**
+ * "install" step: installs dependencies of the project, restoring them
+ * from dependency cache (see depcache.js) unless --fresh-deps is given.
+ */
+async function installStep() {
+    const { projectDir } = journal.data;
+    const entry = program.freshDeps ? null : await getCacheEntry(projectDir);
+    if (!program.freshDeps && !entry) {
+        console.warn('Warning: not caching dependencies because project has no lockfile');
+    }
+    let cmd = 'NODE_ENV=development npm install';
+    if (program.npmCi) {
+        cmd = 'NODE_ENV=development npm ci';
+        if (entry) cmd += ` --prefer-offline --cache '${getNpmCacheDir(DEP_CACHE_DIR, entry.key)}'`;
+    } else if (entry && await restoreModules(DEP_CACHE_DIR, entry.key, projectDir)) {
+        console.log(`Restored node_modules from dependency cache ${entry.key}`);
+    } else if (entry) {
+        console.log(`Dependencies are not cached yet (${entry.key})`);
+    }
+    await runBuildCommand(cmd, projectDir, getBuildEnv());
+    // Saved right after install, before build scripts can change node_modules.
+    if (entry) await saveDependencies(entry);
+}
+
+/**
+ * "dist" step: runs "dist" script of the project.
+ */
+function distStep() {
+    return runBuildCommand('NODE_ENV=production npm run dist', journal.data.projectDir, getBuildEnv());
+}
+
+/**
+ * "package" step: runs electron-builder for every platform (Windows binaries
+ * are signed by electron-builder), then adds reports to build results
+ * and writes signed checksums.
+ *
+ * @param {import('./manifest').MakerFactory} [newMaker] makes manifest makers with unlocked key
+ */
+async function packageStep(newMaker) {
+    const { projectDir } = journal.data;
+    const distDir = path.join(projectDir, 'dist');
+    journal.set('built', false);
+
+    console.log(`Building release in ${projectDir}`);
+    const env = getBuildEnv();
+    for (let i = 0; i < PLATFORMS.length; i++) {
+        // Publishing is done by publishRelease(), not electron-builder,
+        // so that it can be resumed.
+        const cmd = `NODE_ENV=production ./node_modules/.bin/build --${PLATFORMS[i]} --publish never`;
+        await log.phase(`electron-builder ${PLATFORMS[i]}`, () => runBuildCommand(cmd, projectDir, env));
+    }
+    const finishedAt = new Date().toISOString();
+
+    // Save override report, release notes, lockfile and provenance among build results.
+    await log.phase('results', async () => {
+        const { version, overrideReports, changes, overridesInfo, startedAt } = journal.data;
+        await writeFile(
+            path.join(distDir, OVERRIDE_REPORT_FILE),
+            JSON.stringify(overrideReports, null, 2)
+        );
+        await writeFile(
+            path.join(distDir, RELEASE_NOTES_FILE),
+            formatReleaseNotes(version, changes)
+        );
+        const sourceInfo = {
+            location: program.source && fs.existsSync(program.source)
+                ? path.resolve(program.source)
+                : program.source || null,
+            ref: GITHUB_TAG,
+            commit: await getSourceCommitSHA()
+        };
+        writeLockfile(path.join(distDir, LOCKFILE_NAME), {
+            repository: program.repository,
+            source: sourceInfo,
+            overrides: overridesInfo
+        });
+        writeProvenance(path.join(distDir, PROVENANCE_FILE), {
+            version,
+            source: Object.assign({ repository: program.repository }, sourceInfo),
+            overrides: overridesInfo,
+            tools: await getToolVersions(projectDir),
+            host: { platform: process.platform, arch: process.arch },
+            flags: {
+                prerelease: !!program.prerelease,
+                platforms: PLATFORMS,
+                nosign: !!program.nosign,
+                signing: program.nosign ? null : (program.pfx ? 'pfx' : program.signer ? 'signer' : 'shared'),
+                versioning: program.versioning || null,
+                versioningStrategy: program.versioning ? program.versioningStrategy || DEFAULT_STRATEGY : null,
+                npmCi: !!program.npmCi,
+                locked: !!program.locked,
+                publishTo: program.publish ? publisher.describe() : null
+            },
+            startedAt,
+            finishedAt,
+            artifacts: await describeArtifacts(distDir, listArtifacts(distDir))
+        });
+    });
+
+    await log.phase('signing', async () => {
+        // Files deleted from published release are kept in --destination.
+        const exclude = program.publish ? [FILES_TO_SKIP, FILES_TO_DELETE] : [FILES_TO_SKIP];
+        const checksums = await writeChecksums(distDir, exclude);
+        const signature = await signChecksums(checksums, {
+            gpgKey: program.checksumsGpgKey,
+            maker: newMaker && newMaker(),
+            version: journal.data.version
+        });
+        if (signature) {
+            console.log(`Signed ${CHECKSUMS_FILE}: ${path.basename(signature)}`);
+        } else {
+            console.warn(`Warning: ${CHECKSUMS_FILE} is not signed, use --checksums-gpg-key or --key`);
+        }
+    });
+
+    journal.set('built', true);
+}
+
+/**
+ * Saves dependencies installed by "install" step to dependency cache:
+ * node_modules, or only npm cache with --npm-ci. Failure to save them
+ * is reported, but doesn't fail the release.
+ *
+ * @param {object} entry cache entry (see depcache.js)
+ */
+async function saveDependencies(entry) {
+    try {
+        await saveEntry(DEP_CACHE_DIR, entry, program.npmCi ? null : journal.data.projectDir);
+        console.log(`Saved dependencies to cache ${entry.key}`);
+    } catch (ex) {
+        console.warn(`Warning: cannot save dependencies to cache: ${ex.message}`);
+    }
+}
+
+/**
+ * "manifest" step: makes update manifests.
+ *
+ * @param {import('./manifest').MakerFactory} [newMaker] makes manifest makers with unlocked key
+ */
+async function manifestStep(newMaker) {
+    const { projectDir, version } = journal.data;
+    // Re-made manifests must be published again.
+    journal.set('publishedManifests', []);
+    if (!newMaker) {
+        console.warn('Warning: not making update manifest because no --key option specified');
+        journal.set('manifests', null);
+        return;
+    }
+    journal.set('manifests', await createManifest(newMaker, projectDir, version));
+}
+
+/**
+ * "publish" step: publishes the release if --publish is given.
+ */
+async function publishStep() {
+    if (!program.publish) {
+        console.log('Not publishing without --publish option');
+        return;
+    }
+    console.log(`Release will be published to ${publisher.describe()}`);
+    await publishRelease();
+}
+
+/**
+ * Builds every variant given with --variants from one download of sources.
+ * Sources are fetched once, then every variant is built from them in its own
+ * work directory by a separate builder process with the variant's profile,
+ * up to --parallel at a time. A failed variant doesn't stop the others.
+ */
+async function buildVariants() {
+    let baseDir = program.workDir;
+    let results = [];
+    let failed = false;
+    try {
+        let newMaker;
+        if (program.key) {
+            console.log('Unlocking peerio-updater key file');
+            newMaker = await unlockManifestKey(program.key);
+        } else {
+            console.warn('Warning: not making update manifests because no --key option specified');
+        }
+
+        if (baseDir) {
+            mkdirp.sync(baseDir);
+        } else {
+            baseDir = await makeTempDir();
+        }
+        log.open(path.join(baseDir, LOGS_DIR));
+        const options = {};
+        JOURNAL_OPTIONS.forEach(name => {
+            options[name] = program[name];
+        });
+        if (journal) {
+            journal.set('options', options);
+        } else {
+            journal = new ReleaseJournal(path.join(baseDir, JOURNAL_FILE), { options });
+            journal.save();
+        }
+        if (journal.data.ref) {
+            GITHUB_TAG = journal.data.ref;
+        }
+
+        const refetch = !journal.has('steps', 'fetch') || program.fromStep === 'fetch' || program.onlyStep === 'fetch';
+        if (refetch) {
+            await runSteps(['fetch'], baseDir);
+        }
+        if (program.onlyStep === 'fetch') return;
+
+        // Fetching is done here, variants continue from the next step.
+        const args = stripOptions(process.argv.slice(2), NOT_VARIANT_OPTIONS);
+        if (program.fromStep) args.push('--from-step', program.fromStep === 'fetch' ? 'override' : program.fromStep);
+        if (program.onlyStep) args.push('--only-step', program.onlyStep);
+
+        results = await runLimited(VARIANTS, program.parallel || 1, async name => {
+            const dir = path.join(baseDir, VARIANTS_DIR, name);
+            const started = Date.now();
+            // Error fails only this variant, others are still building
+            // and the directory is cleaned up after all of them.
+            try {
+                const variantJournal = seedVariantJournal(dir, refetch);
+                console.log(`Building variant ${name} in ${dir}`);
+                const code = await runVariantBuild(
+                    name,
+                    args.concat('--profile', name, '--work-dir', dir),
+                    newMaker
+                );
+                const { version, steps } = ReleaseJournal.load(variantJournal.filename).data;
+                return {
+                    name,
+                    version: version || null,
+                    failedStep: code === 0 ? null : (STEP_NAMES.find(s => steps.indexOf(s) < 0) || 'unknown'),
+                    duration: Date.now() - started
+                };
+            } catch (ex) {
+                console.error(`Error: variant ${name} failed: ${ex.message}`);
+                return { name, version: null, failedStep: 'unknown', duration: Date.now() - started };
+            }
+        });
+    } catch (ex) {
+        failed = true;
+        reportResumable();
+        reportLog();
+        throw ex;
+    } finally {
+        if (baseDir) cleanUpVariantsDir(baseDir, results, failed);
+    }
+}
+
+/**
+ * Removes or moves base directory of multi-variant run (or keeps it
+ * with --work-dir or failed variants) and reports variant results.
+ *
+ * @param {string} baseDir
+ * @param {Array<{name: string, version: string|null, failedStep: string|null, duration: number}>} results
+ * @param {boolean} failed whether the run itself failed
+ */
+function cleanUpVariantsDir(baseDir, results, failed) {
+    const failedVariants = results.filter(r => r.failedStep);
+    if (results.length) {
+        console.log(`\n${formatVariantSummary(results)}`);
+    }
+    if (failedVariants.length) process.exitCode = 1;
+    if (program.workDir || failedVariants.length) {
+        console.log(`Variant builds are in ${path.join(baseDir, VARIANTS_DIR)}`);
+        if (failedVariants.length) {
+            console.log(
+                'To rerun failed variants from the failed steps, run the same command with:\n\n' +
+                `    --work-dir ${baseDir}\n`
+            );
+        }
+    } else if (failed) {
+        removeAllButLogs(baseDir);
+    } else if (program.publish) {
+        rimraf.sync(baseDir);
+    } else {
+        rimraf.sync(path.join(baseDir, FETCH_DIR));
+        const newPath = path.join(program.destination, path.basename(baseDir));
+        fs.renameSync(baseDir, newPath);
+        console.log(`Variant builds are in ${path.join(newPath, VARIANTS_DIR)}`);
+    }
+}
+
+/**
+ * Creates or updates journal of variant work directory with results of
+ * "fetch" step done by multi-variant run.
+ *
+ * @param {string} dir variant work directory
+ * @param {boolean} refetched if true, sources were fetched again and every
+ *                            following step must be rerun
+ * @returns {ReleaseJournal}
+ */
+function seedVariantJournal(dir, refetched) {
+    mkdirp.sync(dir);
+    const filename = path.join(dir, JOURNAL_FILE);
+    const variantJournal = fs.existsSync(filename)
+        ? ReleaseJournal.load(filename)
+        : new ReleaseJournal(filename, { options: {} });
+    FETCH_RESULTS.forEach(key => {
+        variantJournal.data[key] = journal.data[key];
+    });
+    if (refetched) {
+        variantJournal.data.steps = [];
+    }
+    if (variantJournal.data.steps.indexOf('fetch') < 0) {
+        variantJournal.data.steps.push('fetch');
+    }
+    variantJournal.save();
+    return variantJournal;
+}
+
+/**
+ * Prints what the release would do. Sources and overrides are fetched and
+ * applied in a temporary directory, which is removed afterwards; nothing is
+ * built, published or tagged.
+ */
+async function plan() {
+    let sourceTempDir;
+    const tempDirs = [];
+    try {
+        if (!GITHUB_TAG) {
+            GITHUB_TAG = await source.getLatestTag();
+        }
+        console.log(`Source: ${source.describe(GITHUB_TAG)}`);
+
+        sourceTempDir = await makeTempDir();
+        tempDirs.push(sourceTempDir);
+        const projectDir = await source.fetch(GITHUB_TAG, sourceTempDir);
+        const originalVersion = await readProjectVersion(projectDir);
+        let version = originalVersion;
+
+        const changes = [];
+        changes.push({
+            name: `${RELEASE_OVERRIDES_DIR} (in sources)`,
+            report: await override(projectDir, projectDir, {
+                jsonOverridesFile: path.join(RELEASE_OVERRIDES_DIR, 'json-overrides.json'),
+            })
+        });
+        const layers = await fetchOverridesChain(OVERRIDES, !program.locked);
+        layers.forEach(layer => tempDirs.push(layer.dir));
+        for (let i = 0; i < layers.length; i++) {
+            if (i === layers.length - 1 && program.versioning) {
+                version = 'v' + await computeCustomVersion(layers[i].spec, originalVersion);
+            }
+            changes.push({
+                name: `${describeOverrides(layers[i].spec)} (${layers[i].commit || 'not a git repository'})`,
+                report: await override(layers[i].dir, projectDir, await getOverridesConfig(version))
+            });
+        }
+
+        const manifestPlatforms = resolveArtifactMapping(MANIFEST_ARTIFACTS, projectDir)
+            .filter(e => PLATFORMS.indexOf(e.build) >= 0)
+            .map(e => `${e.key} (/${e.pattern}/)`);
+
+        const lines = ['', 'Release plan (nothing was built, published or tagged):', ''];
+        lines.push(`Source version:     ${originalVersion}`);
+        lines.push(`Release version:    ${version}${program.versioning
+            ? ` (${program.versioningStrategy || DEFAULT_STRATEGY} versioning)`
+            : ''}`);
+        lines.push(`Platforms:          ${PLATFORMS.join(', ')}`);
+        lines.push(`Windows signing:    ${program.nosign ? 'none' : `via ${SHARED_DIR || program.signer || program.pfx}`}`);
+        if (program.publish) {
+            lines.push(`Publish to:         ${publisher.describe()}`);
+            lines.push(`Release type:       ${program.prerelease ? 'pre-release' : 'draft'}`);
+            lines.push(`Delete assets:      matching ${FILES_TO_DELETE}`);
+            lines.push(`Push tags:          ${lastOverride && !isWorkingTree(lastOverride)
+                ? `${version} to ${describeOverrides(lastOverride)}`
+                : 'none'}`);
+        } else {
+            lines.push(`Destination:        ${program.destination}`);
+        }
+        lines.push(`Manifest platforms: ${program.key ? manifestPlatforms.join(', ') : 'none (no --key)'}`);
+        if (program.key) {
+            lines.push(`Update channels:    ${getChannels()
+                .map(c => `${c.name} (${c.halted ? 'halted' : `${c.rollout}%`})`)
+                .join(', ')}`);
+        }
+        if (previousReport) {
+            changes.forEach(({ report }) => checkUpstreamChanges(report, previousReport));
+        }
+        lines.push(formatReport(changes));
+        console.log(lines.join('\n'));
+    } finally {
+        tempDirs.forEach(dir => rimraf.sync(dir));
+    }
+}
+
+/**
+ * Returns list of platforms to build, checking that this host can build them.
+ *
+ * If platforms are not specified, returns all platforms this host can build
+ * (with a warning about skipped ones); if specified platforms can't be built,
+ * exits with error.
+ *
+ * @returns {string[]} platforms ("mac", "windows", "linux")
+ */
+function resolvePlatforms() {
+    const requested = typeof program.platforms === 'string'
+        ? program.platforms.split(',').map(s => s.trim()).map(p => (p === 'win' ? 'windows' : p))
+        : null;
+    const unknown = (requested || []).filter(p => !TARGET_REQUIREMENTS[p]);
+    if (unknown.length) {
+        console.error(`Error: unknown platforms: ${unknown.join(', ')}`);
+        process.exit(1);
+    }
+    if (!requested) {
+        const supported = Object.keys(TARGET_REQUIREMENTS).filter(p => {
+            const reason = getUnsupportedReason(p);
+            if (reason) console.warn(`Warning: skipping ${p} build: ${reason}`);
+            return !reason;
+        });
+        if (supported.length === 0) {
+            console.error(`Error: this host (${process.platform}) can't build any platform`);
+            process.exit(1);
+        }
+        return supported;
+    }
+    const errors = requested.map(getUnsupportedReason).filter(Boolean);
+    if (errors.length) {
+        errors.forEach(e => console.error(`Error: ${e}`));
+        process.exit(1);
+    }
+    return requested;
+}
+
+/**
+ * Returns the reason why this host can't build the platform,
+ * or null if it can.
+ *
+ * @param {string} platform
+ * @returns {string|null}
+ */
+function getUnsupportedReason(platform) {
+    const host = process.platform;
+    const { hosts, tools } = TARGET_REQUIREMENTS[platform];
+    if (hosts.indexOf(host) < 0) {
+        return `${platform} build requires ${hosts.join(' or ')} host, but this is ${host}`;
+    }
+    const missing = ((tools && tools[host]) || []).filter(tool => !commandExists(tool));
+    if (missing.length) {
+        return `${platform} build on ${host} requires ${missing.join(', ')}, but it's not installed`;
+    }
+    return null;
 }
 
-if (program.shared && program.nosign) {
-    console.error('Error: either --shared or --nosign flag required, but not both.')
-    program.outputHelp();
-    process.exit(1);
+/**
+ * Finishes publishing of a release from journal.
+ */
+async function resume() {
+    log.open(path.join(path.dirname(journal.filename), LOGS_DIR));
+    try {
+        const { built, projectDir, version, manifests } = journal.data;
+        if (!built) {
+            throw new Error('Release was not completely built, it must be rebuilt.');
+        }
+        console.log(`Resuming publishing of ${version} to ${publisher.describe()}`);
+        if (!manifests) {
+            if (program.key) {
+                console.log('Unlocking peerio-updater key file');
+                const newMaker = await unlockManifestKey(program.key);
+                journal.set('manifests', await createManifest(newMaker, projectDir, version));
+            } else {
+                console.warn('Warning: not making update manifest because no --key option specified');
+            }
+        }
+        await log.phase('publish', publishRelease);
+    } catch (ex) {
+        // Work directory with the journal is kept to resume again.
+        reportResumable();
+        reportLog();
+        throw ex;
+    }
+    removeTagDirs();
+    if (journal.data.tempWorkDir) {
+        rimraf.sync(path.dirname(journal.filename));
+    } else {
+        console.log(`Build log is in ${path.join(path.dirname(journal.filename), LOGS_DIR)}`);
+    }
 }
 
-if (program.versioning && (!program.overrides || program.overrides.length === 0)) {
-    console.error('Error: --versioning requires --overrides.')
-    program.outputHelp();
-    process.exit(1);
-}
+/**
+ * Publishes built release recorded in journal, skipping
+ * everything that's already done.
+ */
+async function publishRelease() {
+    const { projectDir, version } = journal.data;
+    const distDir = path.join(projectDir, 'dist');
 
-const RELEASE_OVERRIDES_DIR = 'release';
+    const notesFile = path.join(distDir, RELEASE_NOTES_FILE);
+    const notes = fs.existsSync(notesFile) ? await readFile(notesFile, 'utf8') : undefined;
+    await publisher.prepareRelease(version, program.prerelease, notes);
 
-/* RegExp for files to delete from release after uploading */
-const FILES_TO_DELETE = /^(latest(.*)\.(yml|json))|((.*)\.blockmap)$/;
+    console.log('Uploading release files');
+    const names = await getFileNames(distDir);
+    for (let i = 0; i < names.length; i++) {
+        const name = names[i];
+        const filePath = path.join(distDir, name);
+        if (FILES_TO_DELETE.test(name) || FILES_TO_SKIP.test(name)) continue;
+        const stats = fs.statSync(filePath);
+        if (!stats.isFile()) continue;
+        if (await publisher.getFileSize(name, version) === stats.size) {
+            console.log(`Already uploaded ${name}`);
+        } else {
+            await publisher.uploadFile(filePath, getContentType(name), version);
+        }
+        journal.add('uploaded', name);
+    }
 
-// Get input and output directory.
-const SHARED_DIR = program.shared;
-const [GITHUB_OWNER, GITHUB_REPO] = program.repository.split('/');
-let GITHUB_TAG = program.tag;
+    const manifests = journal.data.manifests || [];
+    for (let i = 0; i < manifests.length; i++) {
+        const { channel, file } = manifests[i];
+        if (journal.has('publishedManifests', file)) continue;
+        console.log(`Uploading update manifest for ${channel} channel`);
+        await publisher.publishManifest(file, version, isLatestManifest(channel));
+        journal.add('publishedManifests', file);
+    }
 
-const GITHUB_AUTH_TOKEN = process.env.GH_TOKEN;
-if (!GITHUB_AUTH_TOKEN && program.publish) {
-    console.error(
-        'Please set GH_TOKEN environment variable to the correct GitHub ' +
-        'authentication token that has access to the given project'
-    );
-    process.exit(2);
-}
+    console.log('Deleting unnecessary files from release');
+    const deleted = await publisher.deleteFiles(FILES_TO_DELETE, version);
+    deleted.forEach(name => journal.add('deleted', name));
 
-if (GITHUB_AUTH_TOKEN) {
-    authenticate(GITHUB_AUTH_TOKEN);
-}
+    const tags = journal.data.tags || [];
+    for (let i = 0; i < tags.length; i++) {
+        const { dir, tag, spec } = tags[i];
+        if (journal.has('pushedTags', tag)) continue;
+        const overrides = parseOverridesSpec(spec);
+        const remote = await runGit(overrides, ['ls-remote', '--tags', 'origin', `refs/tags/${tag}`], dir);
+        if (remote.trim()) {
+            console.log(`Tag ${tag} is already pushed`);
+        } else {
+            await runGit(overrides, ['push', 'origin', `refs/tags/${tag}`], dir);
+        }
+        journal.add('pushedTags', tag);
+    }
 
+    // Logs are uploaded last, so that they have as much as possible.
+    const logFiles = log.getFiles();
+    for (let i = 0; i < logFiles.length; i++) {
+        await publisher.uploadFile(logFiles[i], getContentType(logFiles[i]), version);
+    }
 
-// Check that in/out directories exist.
-if (SHARED_DIR) {
-    const INPUT_DIR = path.join(SHARED_DIR, 'in');
-    const OUTPUT_DIR = path.join(SHARED_DIR, 'out');
+    journal.set('completed', true);
+}
+
+/**
+ * Re-makes update manifests of a published release from its
+ * update-manifest.json and files with the current channel and rollout
+ * options, and publishes them.
+ */
+async function republishManifest() {
+    const version = program.republishManifest;
+    let tempDir;
     try {
-        fs.accessSync(INPUT_DIR);
-    } catch (ex) {
-        console.error(`Cannot access input directory ${INPUT_DIR}`);
-        process.exit(3);
+        console.log('Unlocking peerio-updater key file');
+        const newMaker = await unlockManifestKey(program.key);
+
+        tempDir = await makeTempDir();
+        const info = await downloadManifestInfo(version, tempDir);
+        await downloadArtifacts(info, tempDir);
+
+        const channels = getChannels(info.channels);
+        channels.forEach(c => {
+            const before = info.channels.find(b => b.name === c.name);
+            if (before && before.halted !== c.halted) {
+                console.log(`Rollout for ${c.name} is ${c.halted ? 'halted (--halt)' : 'resumed (--unhalt)'}`);
+            }
+        });
+        const manifests = await generateManifests(newMaker, tempDir, publisher, info, channels);
+        await publishRemadeManifests(manifests, info, channels, tempDir);
+    } finally {
+        if (tempDir) rimraf.sync(tempDir);
     }
+}
 
-    try {
-        fs.accessSync(OUTPUT_DIR);
-    } catch (ex) {
-        console.error(`Cannot access output directory ${OUTPUT_DIR}`);
-        process.exit(4);
+/**
+ * Downloads update-manifest.json of a published release into the directory.
+ *
+ * @param {string} version
+ * @param {string} dir
+ * @param {object} [from] publisher to download from (the target by default)
+ * @returns {Promise<object>} manifest info (see manifest.js)
+ */
+async function downloadManifestInfo(version, dir, from = publisher) {
+    console.log(`Downloading ${MANIFEST_INFO_FILE} of ${version} from ${from.describe()}`);
+    const infoFile = path.join(dir, MANIFEST_INFO_FILE);
+    await from.downloadFile(MANIFEST_INFO_FILE, version, infoFile);
+    const info = readManifestInfo(infoFile);
+    if (info.version !== version) {
+        throw new Error(`${MANIFEST_INFO_FILE} of ${version} is for version ${info.version}`);
     }
+    return info;
 }
 
-if (program.destination) {
-    try {
-        fs.mkdirSync(program.destination);
-    } catch (ex) {
-        if (ex.code !== 'EEXIST') {
-            console.error(`Cannot access destination directory ${program.destination}`);
-            process.exit(4);
-        }
+/**
+ * Downloads published artifacts of update manifests into the directory.
+ *
+ * @param {object} info manifest info
+ * @param {string} dir
+ */
+async function downloadArtifacts(info, dir) {
+    for (let i = 0; i < info.artifacts.length; i++) {
+        const { name } = info.artifacts[i];
+        console.log(`Downloading ${name}`);
+        await publisher.downloadFile(name, info.version, path.join(dir, name));
     }
 }
 
-main();
+/**
+ * Publishes re-made update manifests of a published release
+ * and its update-manifest.json with their channels.
+ *
+ * @param {Array<{channel: string, file: string}>} manifests
+ * @param {object} info manifest info
+ * @param {Array<object>} channels channels of the manifests
+ * @param {string} dir directory with update-manifest.json
+ */
+async function publishRemadeManifests(manifests, info, channels, dir) {
+    for (let i = 0; i < manifests.length; i++) {
+        const { channel, file, rollout } = manifests[i];
+        if (rollout) {
+            // Uploaded first, the manifest has hash of the new descriptor.
+            await publisher.uploadFile(rollout, getContentType(rollout), info.version);
+        }
+        console.log(`Uploading update manifest for ${channel} channel`);
+        await publisher.publishManifest(file, info.version, isLatestManifest(channel));
+    }
 
-async function main() {
-    let sourceTempDir;
-    let overridesDir;
+    // Channels that were not re-made keep their rollout.
+    info.channels = info.channels
+        .filter(c => !channels.some(updated => updated.name === c.name))
+        .concat(channels);
+    const infoFile = path.join(dir, MANIFEST_INFO_FILE);
+    writeManifestInfo(infoFile, info);
+    await publisher.uploadFile(infoFile, getContentType(MANIFEST_INFO_FILE), info.version);
+}
 
+/**
+ * Withdraws a bad release: re-publishes freshly signed update manifests
+ * of the previous good version, so that clients which haven't updated yet
+ * stay on it, then marks the release as yanked (or deletes it) and deletes
+ * its tag from overrides repository.
+ *
+ * Manifests are made and published first, so that a failure to download,
+ * sign or publish them leaves the release as it was, and clients never
+ * get manifests pointing to a deleted release.
+ *
+ * @param {string} version version to yank (e.g. "v3.1.0")
+ */
+async function yank(version) {
+    let tempDir;
     try {
-        if (!GITHUB_TAG) {
-            GITHUB_TAG = await getLatestTag(GITHUB_OWNER, GITHUB_REPO);
+        let releases = null;
+        if (!program.previousVersion) {
+            releases = await publisher.listReleases().catch(ex => {
+                throw new Error(`${ex.message}, give --previous-version`);
+            });
+            if (!releases.some(r => r.version === version)) {
+                throw new Error(`Release ${version} is not found in ${publisher.describe()}`);
+            }
+        }
+        const previous = program.previousVersion || findPreviousRelease(releases, version);
+        if (!previous) {
+            throw new Error(`There's no release before ${version} to go back to, give --previous-version`);
+        }
+        if (previous === version) {
+            throw new Error('--previous-version must be different from the yanked version');
         }
 
-        let manifestMaker;
-        if (program.key) {
-            manifestMaker = new ManifestMaker();
-            console.log('Unlocking peerio-updater key file');
-            await manifestMaker.unlockKeyFile(program.key);
-        } else {
-            console.warn('Warning: not making update manifest because no --key option specified');
+        // Tags are only pushed to the last overrides repository (see applyOverrides()).
+        const tagged = lastOverride && !isWorkingTree(lastOverride) && await hasRemoteTag(lastOverride, version);
+
+        console.log([
+            `Yank:               ${version} in ${publisher.describe()}`,
+            `Release:            ${program.deleteRelease ? 'delete' : 'mark as yanked'}` +
+                (releases && releases.find(r => r.version === version).yanked ? ' (already marked)' : ''),
+            `Delete tag:         ${tagged ? `${version} from ${describeOverrides(lastOverride)}` : 'none'}`,
+            `Update manifests:   re-publish ${previous}`
+        ].join('\n'));
+        if (program.dryRun) {
+            console.log('\nDry run, nothing is changed.');
+            return;
+        }
+        if (!program.yes) {
+            const confirmed = await confirm(`\nType ${version} to yank it:`, version).catch(ex => {
+                throw new Error(`${ex.message}, give --yes`);
+            });
+            if (!confirmed) {
+                console.log('Not confirmed, nothing is changed.');
+                process.exitCode = 1;
+                return;
+            }
         }
 
-        // Create temporary directory for source and build files.
-        sourceTempDir = await makeTempDir();
+        console.log('Unlocking peerio-updater key file');
+        const newMaker = await unlockManifestKey(program.key);
 
-        console.log(`Downloading release ${GITHUB_TAG}...`);
-        const projectDir = await downloadTagArchive(GITHUB_OWNER, GITHUB_REPO, GITHUB_TAG, sourceTempDir);
+        tempDir = await makeTempDir();
+        const info = await downloadManifestInfo(previous, tempDir);
+        await downloadArtifacts(info, tempDir);
+        // Clients on every channel of the previous version get it in full,
+        // unless --channels are given.
+        const channels = program.channels
+            ? getChannels(info.channels)
+            : resolveChannels(info.channels.map(c => c.name).join(',') || undefined, { defaultChannel: RELEASE_CHANNEL });
+        const manifests = await generateManifests(newMaker, tempDir, publisher, info, channels);
+        await publishRemadeManifests(manifests, info, channels, tempDir);
 
-        let version = await readProjectVersion(projectDir);
-        console.log(`Building from version ${version}`);
+        console.log(`${program.deleteRelease ? 'Deleting' : 'Marking as yanked'} release ${version}`);
+        await publisher.yankRelease(version, !!program.deleteRelease,
+            `Yanked on ${new Date().toISOString()}, use ${previous} instead.`);
+        if (tagged) {
+            console.log(`Deleting tag ${version} from ${describeOverrides(lastOverride)}`);
+            await deleteRemoteTag(lastOverride, version);
+        }
+        console.log(`Yanked ${version}, update manifests are for ${previous} now`);
+    } finally {
+        if (tempDir) rimraf.sync(tempDir);
+    }
+}
 
-        // Apply release overrides.
-        console.log(`Applying overrides from ${RELEASE_OVERRIDES_DIR}`)
-        await override(projectDir, projectDir, {
-            jsonOverridesFile: path.join(RELEASE_OVERRIDES_DIR, 'json-overrides.json'),
-        });
+/**
+ * Promotes a tested release (a pre-release, a draft or a release in staging
+ * location) to stable without rebuilding: downloads its files, checks them
+ * against its signed update manifests (and SHA256SUMS, if any), uploads them
+ * to the target, re-makes and re-signs update manifests with the target's
+ * URLs for stable channel (or --channels) and publishes the release.
+ *
+ * @param {string} version version to promote (e.g. "v3.1.0")
+ */
+async function promote(version) {
+    const source = promoteSource;
+    const inPlace = source === publisher;
+    let tempDir;
+    try {
+        // Yanked releases can't be promoted, where it's known.
+        const releases = await source.listReleases().catch(() => null);
+        const release = releases && releases.find(r => r.version === version);
+        if (release && release.yanked) {
+            throw new Error(`Release ${version} is yanked in ${source.describe()}`);
+        }
+        const channels = getChannels();
 
-        if (program.overrides && program.overrides.length > 0) {
-            // Apply overrides from a "whitelabel" repo.
-            for (let i = 0; i < program.overrides.length; i++) {
-                console.log(`Applying overrides from repository ${program.overrides[i]}`);
-                const isLast = (i === program.overrides.length - 1);
-                version = await applyOverrides(program.overrides[i], projectDir, version, isLast);
-                if (isLast) {
-                    console.log(`Release will be published at ${program.overrides[i]}`)
-                }
+        console.log([
+            `Promote:            ${version} from ${source.describe()}`,
+            `Publish to:         ${inPlace ? 'the same release' : publisher.describe()}`,
+            `Update channels:    ${channels.map(c => c.name).join(', ')}`
+        ].join('\n'));
+        if (program.dryRun) {
+            console.log('\nDry run, nothing is changed.');
+            return;
+        }
+        if (!program.yes) {
+            const confirmed = await confirm(`\nType ${version} to promote it:`, version).catch(ex => {
+                throw new Error(`${ex.message}, give --yes`);
+            });
+            if (!confirmed) {
+                console.log('Not confirmed, nothing is changed.');
+                process.exitCode = 1;
+                return;
             }
         }
 
-        console.log(`Building release in ${projectDir}`);
-        await buildRelease(projectDir);
+        console.log('Unlocking peerio-updater key file');
+        const newMaker = await unlockManifestKey(program.key);
 
-        const lastOverride = program.overrides
-            ? program.overrides[program.overrides.length - 1]
-            : undefined;
-
-        const target = lastOverride
-            ? splitRepoBranch(lastOverride)[0]
-            : program.repository;
+        tempDir = await makeTempDir();
+        const info = await downloadManifestInfo(version, tempDir, source);
+        const names = await downloadCheckedFiles(version, tempDir, source, info);
+        await verifyManifests(newMaker, tempDir, source, info);
 
-        const [targetOwner, targetRepo] = target.split('/');
+        const manifests = await generateManifests(newMaker, tempDir, publisher, info, channels);
 
-        if (manifestMaker) {
-            manifestMaker.setVersion(version);
-            const lastMandatoryUpdateVersion = await readLastMandatoryUpdateVersion(projectDir);
-            if (lastMandatoryUpdateVersion &&
-                semver.neq(
-                    semver.valid(version).replace(/-.*$/, ''),
-                    semver.valid(lastMandatoryUpdateVersion).replace(/-.*$/, '')
-                ))
-            {
-                manifestMaker.setOptionalSince(lastMandatoryUpdateVersion);
-            }
-            // Get correct target repository where the update is published.
-            console.log(`Making update manifest`);
-            const manifest = await makeUpdaterManifest(
-                manifestMaker,
-                projectDir,
-                targetOwner,
-                targetRepo
-            );
-            if (program.publish) {
-                console.log('Uploading update manifest to GitHub release');
-                await uploadReleaseAsset(manifest, 'text/plain', targetOwner, targetRepo, version);
+        const notesFile = path.join(tempDir, RELEASE_NOTES_FILE);
+        const notes = fs.existsSync(notesFile) ? await readFile(notesFile, 'utf8') : undefined;
+        await publisher.prepareRelease(version, false, notes);
+        for (let i = 0; i < names.length; i++) {
+            const name = names[i];
+            const filePath = path.join(tempDir, name);
+            if (await publisher.getFileSize(name, version) === fs.statSync(filePath).size) {
+                console.log(`Already uploaded ${name}`);
+            } else {
+                await publisher.uploadFile(filePath, getContentType(name), version);
             }
         }
+        // Channels of the tested release are not published elsewhere.
+        if (!inPlace) info.channels = [];
+        await publishRemadeManifests(manifests, info, channels, tempDir);
+        await publisher.promoteRelease(version);
+        console.log(`Promoted ${version} to ${channels.map(c => c.name).join(', ')} in ${publisher.describe()}`);
+    } finally {
+        if (tempDir) rimraf.sync(tempDir);
+    }
+}
 
-        if (program.publish) {
-            console.log('Deleting unnecessary files from release');
-            await deleteReleaseAssets(FILES_TO_DELETE, targetOwner, targetRepo, version);
+/**
+ * Downloads published files of the release: update manifest artifacts and,
+ * if the release has SHA256SUMS (releases made before it was written don't),
+ * every file listed there, checking them against it. Signatures, release
+ * notes and logs are downloaded too, if any. Artifacts are checked against
+ * update manifests by verifyManifests().
+ *
+ * @param {string} version
+ * @param {string} dir
+ * @param {object} source publisher to download from
+ * @param {object} info manifest info of the release
+ * @returns {Promise<string[]>} names of downloaded files
+ */
+async function downloadCheckedFiles(version, dir, source, info) {
+    const names = [];
+    let checksums = [];
+    if (await source.getFileSize(CHECKSUMS_FILE, version) === null) {
+        console.warn(`Warning: release ${version} has no ${CHECKSUMS_FILE}, only its update manifest artifacts are checked`);
+    } else {
+        console.log(`Downloading ${CHECKSUMS_FILE}`);
+        const checksumsFile = path.join(dir, CHECKSUMS_FILE);
+        await source.downloadFile(CHECKSUMS_FILE, version, checksumsFile);
+        checksums = readChecksums(checksumsFile);
+        names.push(CHECKSUMS_FILE);
+    }
+
+    const files = info.artifacts.map(a => a.name)
+        .concat(checksums.map(c => c.name))
+        .filter((name, i, all) => all.indexOf(name) === i);
+    for (let i = 0; i < files.length; i++) {
+        console.log(`Downloading ${files[i]}`);
+        await source.downloadFile(files[i], version, path.join(dir, files[i]));
+        names.push(files[i]);
+    }
+    if (checksums.length) {
+        const mismatched = await verifyChecksums(dir, checksums);
+        if (mismatched.length) {
+            throw new Error(`Files don't match ${CHECKSUMS_FILE}: ${mismatched.join(', ')}`);
         }
-    } catch (ex) {
-        criticalError(ex);
-    } finally {
-        if (overridesDir) rimraf.sync(overridesDir);
-        if (program.publish) {
-            if (sourceTempDir) rimraf.sync(sourceTempDir);
-        } else {
-            const newPath = path.join(program.destination, path.basename(sourceTempDir));
-            fs.renameSync(sourceTempDir, newPath);
-            console.log(`Build result is in ${newPath}`);
+        console.log(`Checked ${checksums.length} files against ${CHECKSUMS_FILE}`);
+    }
+
+    const optional = [`${CHECKSUMS_FILE}.manifest.txt`, `${CHECKSUMS_FILE}.asc`, RELEASE_NOTES_FILE, LOG_FILE, EVENTS_FILE]
+        .filter(name => names.indexOf(name) < 0);
+    for (let i = 0; i < optional.length; i++) {
+        if (await source.getFileSize(optional[i], version) === null) continue;
+        console.log(`Downloading ${optional[i]}`);
+        await source.downloadFile(optional[i], version, path.join(dir, optional[i]));
+        names.push(optional[i]);
+    }
+    return names;
+}
+
+/**
+ * Checks downloaded artifacts of the release against its signed update
+ * manifests: makes them again from the artifacts with the source's URLs
+ * and the key, and compares with the published ones, which checks both
+ * hashes of the artifacts and that manifests are signed with the key.
+ * This relies on update-maker signatures being deterministic, so that
+ * the same key and contents make the same manifest.
+ *
+ * @param {import('./manifest').MakerFactory} newMaker makes manifest makers with unlocked key
+ * @param {string} dir directory with downloaded artifacts
+ * @param {object} source publisher of the release
+ * @param {object} info manifest info of the release
+ */
+async function verifyManifests(newMaker, dir, source, info) {
+    if (!info.channels.length) {
+        throw new Error(`Release ${info.version} has no update manifests, its files can't be checked`);
+    }
+    const remade = await generateManifests(newMaker, dir, source, info, info.channels);
+    try {
+        for (let i = 0; i < remade.length; i++) {
+            const { channel, file } = remade[i];
+            const name = path.basename(file);
+            const published = path.join(dir, `published-${name}`);
+            console.log(`Downloading ${name}`);
+            await source.downloadFile(name, info.version, published);
+            const same = await readFile(published, 'utf8') === await readFile(file, 'utf8');
+            rimraf.sync(published);
+            if (!same) {
+                throw new Error(
+                    `Files of ${info.version} don't match its update manifest for ${channel} channel, ` +
+                    'or it is not signed with the given key'
+                );
+            }
         }
+    } finally {
+        // Manifests for the target are made in the same directory.
+        remade.forEach(({ file, rollout }) => {
+            rimraf.sync(file);
+            if (rollout) rimraf.sync(rollout);
+        });
+    }
+    console.log(`Checked ${info.artifacts.length} files against update manifests`);
+}
+
+/**
+ * Returns the latest release before the version that is not yanked, or null.
+ * Pre-releases are only considered if the version is a pre-release.
+ *
+ * @param {Array<{version: string, yanked: boolean}>} releases
+ * @param {string} version
+ * @returns {string|null}
+ */
+function findPreviousRelease(releases, version) {
+    if (!semver.valid(version)) return null;
+    const candidates = releases
+        .filter(r => !r.yanked && semver.valid(r.version) && semver.lt(r.version, version))
+        .filter(r => semver.prerelease(version) || !semver.prerelease(r.version))
+        .map(r => r.version);
+    return candidates.length ? semver.rsort(candidates)[0] : null;
+}
+
+/**
+ * Returns update channels with rollout from command line options.
+ *
+ * @param {Array<object>} [previous] channels of previously made manifests
+ */
+function getChannels(previous) {
+    return resolveChannels(program.channels, {
+        defaultChannel: RELEASE_CHANNEL,
+        rolloutStart: program.rolloutStart,
+        halt: program.halt ? true : program.unhalt ? false : undefined
+    }, previous);
+}
+
+/**
+ * Returns true if manifest of the channel should be published as the latest,
+ * where updater clients look for it. Pre-releases don't update stable channel.
+ *
+ * @param {string} channel
+ */
+function isLatestManifest(channel) {
+    return channel !== DEFAULT_CHANNEL || !program.prerelease;
+}
+
+/**
+ * Prints how to rerun the failed step in work directory, or how to resume
+ * publishing if the release was built, so it doesn't have to be rebuilt.
+ */
+function reportResumable() {
+    if (program.workDir) {
+        if (!currentStep) return;
+        console.error(
+            `Build failed at ${currentStep} step. To rerun it and the following steps, run with:\n\n` +
+            `    --work-dir ${program.workDir} --from-step ${currentStep}\n`
+        );
+        return;
+    }
+    if (!program.publish || !journal || !journal.data.built) return;
+    console.error(
+        'Publishing did not complete. To finish it without rebuilding, run:\n\n' +
+        `    peerio-desktop-release --resume ${journal.filename}\n`
+    );
+}
+
+/**
+ * Prints phase durations and where the build log is.
+ */
+function reportLog() {
+    console.error(`\n${log.formatSummary()}`);
+    if (log.dir) {
+        console.error(`\nBuild log is in ${log.dir}`);
     }
 }
 
+/**
+ * Removes overrides repositories kept for tagging.
+ */
+function removeTagDirs() {
+    if (!journal || !journal.data.tags) return;
+    journal.data.tags.forEach(({ dir }) => rimraf.sync(dir));
+}
+
 /**
  * Extracts version number from project's package.json.
  * Version is returned in "v1.0.0" format (with "v" prefix).
@@ -263,72 +1826,73 @@ function readLastMandatoryUpdateVersion(projectDir) {
 }
 
 /**
- * Creates updater peerio-updater manifest for known dist files in the project
- * directory and returns promise resolving to manifest contents.
+ * Finds out mandatory update info, then makes update manifests
+ * for release channels.
  *
- * @param {ManifestMaker} m manifest maker instance
- * @param {string} dir project directory
- * @param {string} owner project owner ("org" from github.com/org/repo)
- * @param {string} repo project repository ("repo" from github.com/org/repo)
- * @returns Promise<string> manifest file path
- */
-function makeUpdaterManifest(m, dir, owner, repo) {
-    const distpath = path.join(dir, 'dist');
-    // xxx: for now, sign zip files as mac updates, later we'll probably use dmg.
-    return getFileNames(distpath, /\.(zip|exe|AppImage)$/i).then(names => {
-        names.forEach(name => {
-            let platform;
-            if (/\.zip$/i.test(name)) {
-                platform = 'mac';
-            } else if (/\.exe$/i.test(name)) {
-                platform = 'windows';
-            } else if (/64\.AppImage$/i.test(name)) {
-                platform = 'linux-x64';
-            } else if (/armv7l\.AppImage$/i.test(name)) {
-                platform = 'linux-armv7l';
-            } else {
-                return; // skip this file
-            }
-            m.addGitHubFile(platform, path.join(distpath, name), owner + '/' + repo);
-        });
-        return m.generate().then(data =>
-            writeFile(path.join(distpath, 'manifest.txt'), data)
-        );
-    });
+ * @param {import('./manifest').MakerFactory} newMaker makes manifest makers with unlocked key
+ * @param {string} projectDir project directory
+ * @param {string} version release version
+ * @returns Promise<Array<{channel: string, file: string}>> manifest files
+ */
+async function createManifest(newMaker, projectDir, version) {
+    const lastMandatoryUpdateVersion = await readLastMandatoryUpdateVersion(projectDir);
+    let optionalSince = null;
+    if (lastMandatoryUpdateVersion &&
+        semver.neq(
+            semver.valid(version).replace(/-.*$/, ''),
+            semver.valid(lastMandatoryUpdateVersion).replace(/-.*$/, '')
+        ))
+    {
+        optionalSince = lastMandatoryUpdateVersion;
+    }
+    console.log(`Making update manifest`);
+    const entries = resolveArtifactMapping(MANIFEST_ARTIFACTS, projectDir);
+    return makeUpdaterManifest(newMaker, projectDir, publisher, { version, optionalSince }, entries, PLATFORMS, getChannels());
+}
+
+/**
+ * Returns environment for build commands with signing configuration.
+ */
+function getBuildEnv() {
+    const env = Object.assign({}, process.env);
+    if (program.pfx) {
+        // electron-builder signs with osslsigncode itself.
+        env.WIN_CSC_LINK = path.resolve(program.pfx);
+    } else if (!program.nosign) {
+        if (program.signer) {
+            env.SIGNER_URL = program.signer;
+        } else {
+            env.SHARED_DIR = SHARED_DIR;
+        }
+        if (program.signTimeout) {
+            env.SIGNER_TIMEOUT = String(Math.round(program.signTimeout * 60 * 1000));
+        }
+        // Let our signing timeout fire before electron-builder's one,
+        // since it reports a clearer error.
+        env.SIGNTOOL_TIMEOUT = String((Number(env.SIGNER_TIMEOUT) || DEFAULT_SIGN_TIMEOUT) + 10 * 60 * 1000);
+        env.SIGNTOOL_PATH = path.join(__dirname, 'osslsigncode.js');
+        env.WIN_CSC_LINK = 'ZmFrZWNlcnQ='; // any b64 string to trick builder into performing Windows codesigning
+    }
+    return env;
 }
 
 /**
- * Builds release in the project directory.
+ * Runs shell command in the project directory, printing its output as it comes.
+ * Output is printed by lines, so that secrets split between chunks are redacted.
+ *
+ * @param {string} cmd
  * @param {string} dir project directory
+ * @param {object} env environment variables
  * @returns Promise<void>
  */
-function buildRelease(dir) {
+function runBuildCommand(cmd, dir, env) {
     return new Promise((fulfill, reject) => {
-        const buildFlagsEnv = program.prerelease ? 'EP_PRELEASE=true' : 'EP_DRAFT=true';
-        const publish = program.publish ? 'always' : 'never';
-        const platforms = (program.platforms || 'windows,mac,linux').split(',').map(s => '--' + s.trim()).join(' ');
-        const cmds = [
-            'NODE_ENV=development npm install',
-            'NODE_ENV=production npm run dist',
-            `NODE_ENV=production ${buildFlagsEnv} ./node_modules/.bin/build ${platforms} --publish ${publish}`
-        ];
-        const env = Object.assign({}, process.env, { GH_TOKEN: GITHUB_AUTH_TOKEN });
-        if (!program.nosign) {
-            env.SHARED_DIR = SHARED_DIR;
-            env.SIGNTOOL_TIMEOUT = '432000000'; // 2000 minutes
-            env.SIGNTOOL_PATH = path.join(__dirname, 'osslsigncode.js');
-            env.WIN_CSC_LINK = 'ZmFrZWNlcnQ='; // any b64 string to trick builder into performing Windows codesigning
-        }
-        const builder = spawn('sh', ['-c', cmds.join(' && ')], { cwd: dir, env });
-        builder.stdout.on('data', data => {
-            console.log(data.toString());
-        });
-        builder.stderr.on('data', (data) => {
-            console.error(data.toString());
-        });
+        const builder = spawn('sh', ['-c', cmd], { cwd: dir, env });
+        readline.createInterface({ input: builder.stdout }).on('line', line => console.log(line));
+        readline.createInterface({ input: builder.stderr }).on('line', line => console.error(line));
         builder.on('close', code => {
             if (code !== undefined && code !== 0) {
-                reject(new Error(`Exited with code ${code}`));
+                reject(new Error(`${cmd} exited with code ${code}`));
             } else {
                 fulfill();
             }
@@ -337,86 +1901,117 @@ function buildRelease(dir) {
 }
 
 /**
- * Applies overrides from overridesRepo to targerDir.
+ * Applies fetched overrides layer to targerDir and removes the layer directory.
  *
- * @param overridesRepo {string} github repository ORGANIZATION/REPO[#branch]
+ * If publishing, the last overrides repository is tagged with the version,
+ * and kept until the tag is pushed by publishRelease().
+ *
+ * @param layer {{spec: object, dir: string}} layer from fetchOverridesChain()
  * @param targetDir {string} target directory with Peerio desktop sources
  * @param version {string} version to tag (e.g. "v1.0.0")
  * @param isLast {boolean} if true, the override is last in the list and versioning will be applied
+ * @param reports {Array<{name: string, report: object}>} override report is added here
+ * @param changes {Array<object>} changes for release notes are added here
  * @returns {Promise<string>} version (may change from the given)
  */
-async function applyOverrides(overridesRepo, targetDir, version, isLast) {
-    let tempDir;
-    const [repo, branch] = splitRepoBranch(overridesRepo);
+async function applyOverrides(layer, targetDir, version, isLast, reports, changes) {
+    const overridesRepo = layer.spec;
+    const tempDir = layer.dir;
     try {
-        tempDir = await makeTempDir();
-        await execp(`git clone --depth=1 --branch=${branch} git@github.com:${repo}.git ${tempDir}`, tempDir);
-        await override(tempDir, targetDir, {
-            jsonOverridesFile: 'json-overrides.json',
-            fileOverridesDir: 'file-overrides'
+        const customVersioning = isLast && program.versioning;
+        if (customVersioning) {
+            // Computed before applying overrides, so that templates get it.
+            version = 'v' + await computeCustomVersion(overridesRepo, version);
+        }
+        reports.push({
+            name: describeOverrides(overridesRepo),
+            report: await override(tempDir, targetDir, await getOverridesConfig(version))
         });
+        // Collected before the release is tagged.
+        changes.push(await collectChanges(
+            describeOverrides(overridesRepo),
+            () => getOverridesChanges(overridesRepo, tempDir, customVersioning ? version : overridesRepo.ref)
+        ));
         if (isLast) {
-            if (program.versioning) {
-                version = await applyCustomVersioning(overridesRepo, targetDir, version);
+            if (customVersioning) {
+                await applyCustomVersioning(targetDir, version);
                 console.log(`Custom version: ${version}`)
             }
-            if (program.publish) {
-                // Tag a new release in overrides repo and push the tag.
+            if (program.publish && isWorkingTree(overridesRepo)) {
+                console.warn(`Warning: not tagging ${describeOverrides(overridesRepo)}, it's not a git repository`);
+            } else if (program.publish) {
+                // Tag a new release in overrides repo.
                 await execp(`git tag ${version}`, tempDir);
-                await execp(`git push --tags`, tempDir);
+                journal.set('tags', [{ dir: tempDir, tag: version, spec: overridesRepo.spec }]);
+                return version;
             }
         }
+        rimraf.sync(tempDir);
         return version;
     } catch (ex) {
-        if (tempDir) rimraf.sync(tempDir);
-        criticalError(ex);
+        rimraf.sync(tempDir);
+        throw ex;
     }
 }
 
-async function applyCustomVersioning(overridesRepo, targetDir, originalVersion) {
-    // Get commit SHA corresponding to branch/tag in the original repo
-    const sha = await getCommitSHA(GITHUB_OWNER, GITHUB_REPO, GITHUB_TAG);
-
-    // Get lastest version (tag) of the overrides repo.
-    const [overOwner, overRepo] = overridesRepo.split('/');
-    let latestOverridesVersion;
+/**
+ * Collects changes of a repository for release notes. Failure to collect
+ * them is reported, but doesn't fail the release.
+ *
+ * @param {string} name repository name in release notes
+ * @param {() => Promise<{from: string|null, commits: Array<object>}>} get
+ * @returns {Promise<object>} changes (see releasenotes.js)
+ */
+async function collectChanges(name, get) {
     try {
-        latestOverridesVersion = await getLatestTag(overOwner, overRepo);
-        // Strip everything any extra info, we need just numbers
-        // v1.2.3-whatever+yyy -> 1.2.3
-        latestOverridesVersion = semver.valid(latestOverridesVersion).replace(/-.*$/, '');
-    } catch (e) {
-        // TODO: distinguish between no tags and network failure.
-        // For now, assume we have no tags in the repo.
-        latestOverridesVersion = '0.0.0';
-    }
-
-    // If original version is greater than latest overrides version,
-    // use original version, otherwise use overrides version with
-    // incremented patch number.
-    //
-    //  Examples:
-    //
-    //   original : 1.0.0
-    //   overrides: 1.0.0
-    //    --> new : 1.0.1
-    //
-    //   or
-    //
-    //   original : 1.2.0
-    //   overrides: 1.0.0
-    //     --> new: 1.2.0
-    //
-    let version;
-    if (semver.gt(originalVersion, latestOverridesVersion)) {
-        version = semver.valid(originalVersion).replace(/-.*$/, ''); // removing extra info just in case
-    } else {
-        version = semver.inc(latestOverridesVersion, 'patch');
+        return Object.assign({ name }, await get());
+    } catch (ex) {
+        console.warn(`Warning: cannot collect changes of ${name} for release notes: ${ex.message}`);
+        return { name, from: null, commits: null };
     }
-    if (typeof program.versioning === 'string') {
-        // Add custom suffix to version
-        version += `-${program.versioning}`;
+}
+
+/**
+ * Returns override() configuration for overrides repository,
+ * with template variables for the given version.
+ *
+ * @param version {string} version in vX.Y.Z... format
+ */
+async function getOverridesConfig(version) {
+    return Object.assign({
+        variables: {
+            version: version.replace(/^v/, ''),
+            commit: await getSourceCommitSHA()
+        }
+    }, REPOSITORY_LAYOUT);
+}
+
+let sourceCommitSHA;
+
+/**
+ * Returns (cached) commit SHA corresponding to branch/tag in the original source,
+ * as recorded by "fetch" step if it's done.
+ *
+ * @returns {Promise<string>}
+ */
+function getSourceCommitSHA() {
+    if (!sourceCommitSHA) {
+        sourceCommitSHA = journal && journal.data.sourceCommit
+            ? Promise.resolve(journal.data.sourceCommit)
+            : source.getCommitSHA(GITHUB_TAG);
     }
+    return sourceCommitSHA;
+}
+
+/**
+ * Sets custom version in package.json of the target dir,
+ * along with commit SHA of the source.
+ *
+ * @param targetDir {string} target directory with Peerio desktop sources
+ * @param version {string} version in vX.Y.Z... format
+ */
+async function applyCustomVersioning(targetDir, version) {
+    const sha = await getSourceCommitSHA();
 
     // Set this version in package.json in the target dir.
     const packageJSON = path.join(targetDir, 'package.json');
@@ -424,33 +2019,47 @@ async function applyCustomVersioning(overridesRepo, targetDir, originalVersion)
     return readFile(packageJSON)
         .then(JSON.parse)
         .then(json => {
-            json.version = version;
+            json.version = version.replace(/^v/, '');
             json.peerio.commit = sha;
             return json;
         })
         .then(json => JSON.stringify(json, undefined, 2))
-        .then(s => writeFile(packageJSON, s))
-        // Return version in vX.Y.Z... format
-        .then(() => 'v' + version);
+        .then(s => writeFile(packageJSON, s));
 }
 
-
-
 /**
- * Extracts repo and branch name from repo url:
- *
- * bla/proj#branch -> ["github.com/bla/proj", "branch"]
- * bla/proj        -> ["github.com/bla/proj", "master"]
+ * Computes custom version with versioning strategy (see versioning.js)
+ * from tags of overrides repository and, if publishing, versions of releases
+ * already published to the target, which may be tagged elsewhere. Failure
+ * to get them fails the release, since a version computed without them
+ * could be reused.
  *
- * @param {string} url
+ * @param overridesRepo {object} parsed overrides spec (see overridesrepo.js)
+ * @param originalVersion {string} version from sources
+ * @returns {Promise<string>} version in X.Y.Z... format (without "v")
  */
-function splitRepoBranch(url) {
-    const i = url.lastIndexOf('#');
-    if (i < 0) {
-        return [url, "master"];
+async function computeCustomVersion(overridesRepo, originalVersion) {
+    let where = describeOverrides(overridesRepo);
+    let tags;
+    try {
+        tags = await getOverridesTags(overridesRepo);
+    } catch (ex) {
+        throw new Error(`Cannot get tags of ${where} for versioning: ${ex.message}`);
+    }
+    if (program.publish) {
+        try {
+            const releases = await publisher.listReleases();
+            tags = tags.concat(releases.map(r => r.version));
+        } catch (ex) {
+            throw new Error(`Cannot list releases in ${publisher.describe()} for versioning: ${ex.message}`);
+        }
+        where += ` or ${publisher.describe()}`;
     }
-    return [
-        url.substring(0, i),
-        url.substring(i + 1)
-    ];
+    return computeVersion(program.versioningStrategy || DEFAULT_STRATEGY, {
+        upstream: originalVersion,
+        tags,
+        suffix: typeof program.versioning === 'string' ? program.versioning : null,
+        commit: await getSourceCommitSHA(),
+        date: new Date()
+    }, where);
 }
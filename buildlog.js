@@ -0,0 +1,207 @@
+// @ts-check
+/**
+ * Build log: everything builder prints, with timestamps, split into phases
+ * (download, overrides, npm install, ...) with durations.
+ *
+ * Written to a text log and to a JSON-lines event stream:
+ *
+ *   {"time":"...","phase":"npm install","type":"phase-start"}
+ *   {"time":"...","phase":"npm install","type":"output","stream":"stdout","text":"..."}
+ *   {"time":"...","phase":"npm install","type":"phase-end","status":"ok","duration":12345}
+ *
+ * Tokens and passwords from environment variables are redacted from
+ * the terminal output and from the logs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const mkdirp = require('mkdirp');
+
+/* Log file names */
+const LOG_FILE = 'build.log';
+const EVENTS_FILE = 'build-events.jsonl';
+
+/* Environment variables with secrets */
+const SECRET_VARIABLES = [
+    'GH_TOKEN', 'SIGNER_TOKEN', 'OVERRIDES_TOKEN', 'PUBLISH_HTTP_TOKEN',
+    'WIN_CSC_KEY_PASSWORD', 'AWS_SECRET_ACCESS_KEY', 'AWS_SESSION_TOKEN'
+];
+
+class BuildLog {
+    constructor() {
+        this.secrets = [];
+        this.phases = [];
+        this.current = null;
+        this.dir = null;
+        this.logFd = null;
+        this.eventsFd = null;
+        // Events before log files are opened.
+        this.pending = [];
+        SECRET_VARIABLES.forEach(name => this.addSecret(process.env[name]));
+    }
+
+    /**
+     * Adds value to redact.
+     *
+     * @param {string|undefined} value
+     */
+    addSecret(value) {
+        if (!value) return;
+        this.secrets.push(value);
+    }
+
+    /**
+     * Replaces secrets in text with "***".
+     *
+     * @param {string} text
+     */
+    redact(text) {
+        return this.secrets.reduce((t, secret) => t.split(secret).join('***'), text);
+    }
+
+    /**
+     * Starts writing log files into the directory (appending to existing ones),
+     * including everything logged before.
+     *
+     * @param {string} dir
+     */
+    open(dir) {
+        mkdirp.sync(dir);
+        this.dir = dir;
+        this.logFd = fs.openSync(path.join(dir, LOG_FILE), 'a');
+        this.eventsFd = fs.openSync(path.join(dir, EVENTS_FILE), 'a');
+        this.pending.forEach(event => this.write(event));
+        this.pending = [];
+    }
+
+    /**
+     * Returns paths of log files, empty if they are not opened.
+     *
+     * @returns {string[]}
+     */
+    getFiles() {
+        return this.dir ? [LOG_FILE, EVENTS_FILE].map(name => path.join(this.dir, name)) : [];
+    }
+
+    /**
+     * Redacts and logs everything printed with console methods.
+     */
+    captureConsole() {
+        ['log', 'info', 'warn', 'error'].forEach(method => {
+            const print = console[method].bind(console);
+            const stream = method === 'warn' || method === 'error' ? 'stderr' : 'stdout';
+            console[method] = (...args) => {
+                const text = this.redact(util.format(...args));
+                print(text);
+                this.event({ type: 'output', stream, text });
+            };
+        });
+    }
+
+    /**
+     * Runs function as a named phase, logging its start, end and duration.
+     * Phases can be nested.
+     *
+     * @template T
+     * @param {string} name
+     * @param {() => Promise<T>} fn
+     * @returns {Promise<T>} result of fn
+     */
+    async phase(name, fn) {
+        const phase = { name, started: Date.now(), duration: null, status: null };
+        const parent = this.current;
+        this.phases.push(phase);
+        this.current = phase;
+        console.log(`==> ${name}`);
+        this.event({ type: 'phase-start' });
+        try {
+            const result = await fn();
+            this.endPhase(phase, 'ok');
+            return result;
+        } catch (ex) {
+            this.endPhase(phase, 'failed', ex);
+            throw ex;
+        } finally {
+            this.current = parent;
+        }
+    }
+
+    /**
+     * Records the end of phase.
+     *
+     * @param {object} phase
+     * @param {'ok'|'failed'} status
+     * @param {Error} [error]
+     */
+    endPhase(phase, status, error) {
+        phase.duration = Date.now() - phase.started;
+        phase.status = status;
+        const event = { type: 'phase-end', status, duration: phase.duration };
+        if (error) event.error = this.redact(error.message || String(error));
+        this.event(event);
+        console.log(`<== ${phase.name}: ${status} in ${formatDuration(phase.duration)}`);
+    }
+
+    /**
+     * Returns table of phases with durations.
+     */
+    formatSummary() {
+        const width = Math.max(0, ...this.phases.map(p => p.name.length));
+        return this.phases.map(p =>
+            `${p.name.padEnd(width)}  ${p.duration === null ? 'running' : formatDuration(p.duration).padStart(8)}` +
+            `  ${p.status || ''}`
+        ).join('\n');
+    }
+
+    /**
+     * Records event in the current phase.
+     *
+     * @param {object} data
+     */
+    event(data) {
+        const event = Object.assign({
+            time: new Date().toISOString(),
+            phase: this.current ? this.current.name : null
+        }, data);
+        if (this.logFd === null) {
+            this.pending.push(event);
+        } else {
+            this.write(event);
+        }
+    }
+
+    /**
+     * Writes event to both log files.
+     *
+     * @param {object} event
+     */
+    write(event) {
+        fs.writeSync(this.eventsFd, JSON.stringify(event) + '\n');
+        if (event.type === 'output') {
+            const prefix = `${event.time} [${event.phase || '-'}] `;
+            const lines = event.text.replace(/\n+$/, '').split('\n');
+            fs.writeSync(this.logFd, lines.map(line => prefix + line).join('\n') + '\n');
+        }
+    }
+}
+
+/**
+ * Formats duration in milliseconds, e.g. "1m 02.5s".
+ *
+ * @param {number} ms
+ */
+function formatDuration(ms) {
+    const seconds = (ms / 1000) % 60;
+    const minutes = Math.floor(ms / 60000);
+    return minutes
+        ? `${minutes}m ${seconds.toFixed(1).padStart(4, '0')}s`
+        : `${seconds.toFixed(1)}s`;
+}
+
+module.exports = {
+    LOG_FILE,
+    EVENTS_FILE,
+    BuildLog,
+    formatDuration
+};
@@ -0,0 +1,118 @@
+// @ts-check
+/**
+ * Checksums of release files for users who download them by hand.
+ *
+ * SHA256SUMS lists files in `sha256sum` format, so it can be checked with
+ * `sha256sum -c SHA256SUMS`. It's signed with GPG key (SHA256SUMS.asc),
+ * or with the update manifest key: update-maker can't sign arbitrary data,
+ * so it makes a manifest with SHA256SUMS as the only file
+ * (SHA256SUMS.manifest.txt), which has its hash and is signed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { getFileNames, hashFile, writeFile } = require('./helpers');
+
+/* Checksums file name in build results */
+const CHECKSUMS_FILE = 'SHA256SUMS';
+
+/* Manifest platform key of checksums file in its signed manifest */
+const CHECKSUMS_MANIFEST_KEY = 'checksums';
+
+/* Files never listed: checksums with signatures, and update manifests
+   with rollout descriptors, which are signed themselves and can be
+   re-made after release */
+const NOT_CHECKSUMMED = /^(SHA256SUMS(\.manifest\.txt|\.asc)?|manifest(-[\w-]+)?\.txt|rollout-[\w-]+\.json|update-manifest\.json)$/;
+
+/**
+ * Writes SHA256SUMS for every file in the directory.
+ *
+ * @param {string} dir
+ * @param {RegExp[]} [exclude] names of other files to leave out
+ * @returns {Promise<string>} checksums file path
+ */
+async function writeChecksums(dir, exclude = []) {
+    const names = (await getFileNames(dir))
+        .filter(name => !NOT_CHECKSUMMED.test(name) && !exclude.some(rx => rx.test(name)))
+        .filter(name => fs.statSync(path.join(dir, name)).isFile())
+        .sort();
+    const lines = [];
+    for (let i = 0; i < names.length; i++) {
+        lines.push(`${await hashFile(path.join(dir, names[i]))}  ${names[i]}`);
+    }
+    return writeFile(path.join(dir, CHECKSUMS_FILE), lines.join('\n') + '\n');
+}
+
+/**
+ * Reads checksums file.
+ *
+ * @param {string} filename
+ * @returns {Array<{name: string, sha256: string}>}
+ */
+function readChecksums(filename) {
+    return fs.readFileSync(filename, 'utf8').split('\n').filter(line => line.trim()).map(line => {
+        const match = /^([0-9a-f]{64}) [ *](.+)$/i.exec(line);
+        if (!match) {
+            throw new Error(`Invalid line in ${path.basename(filename)}: ${line}`);
+        }
+        return { name: match[2], sha256: match[1].toLowerCase() };
+    });
+}
+
+/**
+ * Returns names of files in the directory that don't match their checksums.
+ *
+ * @param {string} dir
+ * @param {Array<{name: string, sha256: string}>} checksums
+ * @returns {Promise<string[]>}
+ */
+async function verifyChecksums(dir, checksums) {
+    const mismatched = [];
+    for (let i = 0; i < checksums.length; i++) {
+        const { name, sha256 } = checksums[i];
+        if (await hashFile(path.join(dir, name)) !== sha256) mismatched.push(name);
+    }
+    return mismatched;
+}
+
+/**
+ * Makes detached signature of checksums file: with GPG if key is given,
+ * otherwise with update-maker.
+ *
+ * @param {string} filename checksums file path
+ * @param {object} signers
+ * @param {string} [signers.gpgKey] GPG key ID
+ * @param {object} [signers.maker] fresh ManifestMaker instance with unlocked key
+ * @param {string} [signers.version] release version for update-maker signature
+ * @returns {Promise<string|null>} signature file path or null if not signed
+ */
+async function signChecksums(filename, { gpgKey, maker, version }) {
+    if (gpgKey) {
+        const sigfile = `${filename}.asc`;
+        await new Promise((fulfill, reject) => {
+            const args = ['--batch', '--yes', '--armor', '--local-user', gpgKey,
+                '--output', sigfile, '--detach-sign', filename];
+            execFile('gpg', args, (err, stdout, stderr) => {
+                if (err) return reject(new Error(`Cannot sign ${path.basename(filename)} with GPG:\n${stderr}`));
+                fulfill();
+            });
+        });
+        return sigfile;
+    }
+    if (maker) {
+        maker.setVersion(version);
+        // Relative URL: the manifest is published next to checksums.
+        maker.addFile(CHECKSUMS_MANIFEST_KEY, filename, path.basename(filename));
+        return writeFile(`${filename}.manifest.txt`, await maker.generate());
+    }
+    return null;
+}
+
+module.exports = {
+    CHECKSUMS_FILE,
+    writeChecksums,
+    readChecksums,
+    verifyChecksums,
+    signChecksums
+};
@@ -0,0 +1,245 @@
+// @ts-check
+/**
+ * Release profiles: named sets of builder options in a JSON config file.
+ *
+ * {
+ *   "profiles": {
+ *     "staging": {
+ *       "repository": "PeerioTechnologies/peerio-desktop",
+ *       "overrides": ["PeerioTechnologies/peerio-staging"],
+ *       "versioning": "staging",
+ *       "publish": true
+ *     }
+ *   }
+ * }
+ *
+ * Profile keys are long command line option names.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArtifactMapping, parseChannels } = require('./manifest');
+const { STRATEGY_NAMES } = require('./versioning');
+
+const PLATFORMS = ['win', 'windows', 'mac', 'linux'];
+
+/**
+ * Validators for profile values. Each returns normalized value
+ * or throws error with description of expected value.
+ * Relative paths are resolved against the config file directory (dir).
+ */
+const TYPES = {
+    string(value) {
+        if (typeof value !== 'string' || !value) throw new Error('must be a non-empty string');
+        return value;
+    },
+    number(value) {
+        if (typeof value !== 'number' || !(value > 0)) throw new Error('must be a positive number');
+        return value;
+    },
+    boolean(value) {
+        if (typeof value !== 'boolean') throw new Error('must be true or false');
+        return value;
+    },
+    path(value, dir) {
+        return path.resolve(dir, expandHome(TYPES.string(value)));
+    },
+    location(value, dir) {
+        // Git URL (including scp-like user@host:path) is kept as is.
+        const location = TYPES.string(value);
+        if (/^[\w+.-]+:\/\//.test(location) || /^[^/\\]+@[^/\\]+:/.test(location)) return location;
+        return TYPES.path(location, dir);
+    },
+    repository(value) {
+        if (typeof value !== 'string' || !/^[\w.-]+\/[\w.-]+$/.test(value)) {
+            throw new Error('must be in ORGANIZATION/REPO format');
+        }
+        return value;
+    },
+    list(value) {
+        const list = typeof value === 'string' ? value.split(',') : value;
+        if (!Array.isArray(list) || list.length === 0 ||
+            list.some(item => typeof item !== 'string' || !item)) {
+            throw new Error('must be a non-empty array of strings');
+        }
+        return list;
+    },
+    platforms(value) {
+        const list = TYPES.list(value).map(s => s.trim());
+        const unknown = list.filter(p => PLATFORMS.indexOf(p) < 0);
+        if (unknown.length) {
+            throw new Error(`has unknown platforms: ${unknown.join(', ')} (expected ${PLATFORMS.join(', ')})`);
+        }
+        // Builder expects comma-separated list.
+        return list.join(',');
+    },
+    artifacts(value, dir) {
+        // Inline mapping or path to JSON file with it.
+        if (typeof value === 'string') return TYPES.path(value, dir);
+        parseArtifactMapping(value);
+        return value;
+    },
+    channels(value) {
+        const list = TYPES.list(value).join(',');
+        parseChannels(list);
+        return list;
+    },
+    versioningStrategy(value) {
+        if (STRATEGY_NAMES.indexOf(value) < 0) {
+            throw new Error(`must be one of ${STRATEGY_NAMES.join(', ')}`);
+        }
+        return value;
+    },
+    stringOrTrue(value) {
+        if (value === true) return value;
+        try {
+            return TYPES.string(value);
+        } catch (ex) {
+            throw new Error('must be a non-empty string or true');
+        }
+    }
+};
+
+/* Profile options and their types */
+const OPTIONS = {
+    'shared': 'path',
+    'signer': 'string',
+    'pfx': 'path',
+    'sign-timeout': 'number',
+    'repository': 'repository',
+    'tag': 'string',
+    'source': 'location',
+    'publish': 'boolean',
+    'publish-to': 'string',
+    'base-url': 'string',
+    's3-endpoint': 'string',
+    'platforms': 'platforms',
+    'prerelease': 'boolean',
+    'destination': 'path',
+    'overrides': 'list',
+    'nosign': 'boolean',
+    'key': 'path',
+    'checksums-gpg-key': 'string',
+    'versioning': 'stringOrTrue',
+    'versioning-strategy': 'versioningStrategy',
+    'previous-report': 'path',
+    'manifest-artifacts': 'artifacts',
+    'channels': 'channels',
+    'rollout-start': 'string',
+    'halt': 'boolean',
+    'unhalt': 'boolean',
+    'dep-cache': 'path',
+    'fresh-deps': 'boolean',
+    'npm-ci': 'boolean'
+};
+
+/* Groups of mutually exclusive options */
+const EXCLUSIVE = [
+    ['shared', 'signer', 'pfx', 'nosign'],
+    ['publish', 'destination'],
+    ['halt', 'unhalt']
+];
+
+/**
+ * Replaces leading "~/" with home directory.
+ *
+ * @param {string} p
+ */
+function expandHome(p) {
+    return /^~[/\\]/.test(p) ? path.join(os.homedir(), p.substring(2)) : p;
+}
+
+/**
+ * Converts option name to the name of commander's property.
+ *
+ * publish-to -> publishTo
+ *
+ * @param {string} name
+ */
+function camelCase(name) {
+    return name.replace(/-(\w)/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Loads and validates profile from config file.
+ * Throws error describing every problem found.
+ *
+ * @param {string} filename config file path
+ * @param {string} name profile name
+ * @returns {object} options (with commander's property names)
+ */
+function loadProfile(filename, name) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filename, 'utf8'));
+    } catch (ex) {
+        throw new Error(`Cannot read config file ${filename}: ${ex.message}`);
+    }
+    if (!config || typeof config.profiles !== 'object' || Array.isArray(config.profiles)) {
+        throw new Error(`Config file ${filename} must have "profiles" object`);
+    }
+    const profile = config.profiles[name];
+    if (!profile) {
+        const names = Object.keys(config.profiles);
+        throw new Error(
+            `Profile "${name}" not found in ${filename}` +
+            (names.length ? ` (available: ${names.join(', ')})` : '')
+        );
+    }
+    if (typeof profile !== 'object' || Array.isArray(profile)) {
+        throw new Error(`Profile "${name}" in ${filename} must be an object`);
+    }
+
+    const errors = [];
+    const options = {};
+    Object.keys(profile).forEach(key => {
+        const type = OPTIONS[key];
+        if (!type) {
+            errors.push(`"${key}" is not a known option`);
+            return;
+        }
+        try {
+            options[camelCase(key)] = TYPES[type](profile[key], path.dirname(path.resolve(filename)));
+        } catch (ex) {
+            errors.push(`"${key}" ${ex.message}`);
+        }
+    });
+    if (errors.length) {
+        throw new Error(
+            `Invalid profile "${name}" in ${filename}:\n` +
+            errors.map(e => `  - ${e}`).join('\n') +
+            `\nKnown options: ${Object.keys(OPTIONS).join(', ')}`
+        );
+    }
+    return options;
+}
+
+/**
+ * Sets profile options that were not given on command line.
+ *
+ * If one of mutually exclusive options (e.g. --shared and --nosign)
+ * is given on command line, the others are not taken from profile.
+ *
+ * @param {object} program parsed command line options
+ * @param {object} options profile options returned by loadProfile()
+ */
+function applyProfile(program, options) {
+    const skip = {};
+    EXCLUSIVE.forEach(group => {
+        const keys = group.map(camelCase);
+        if (keys.some(key => program[key] !== undefined)) {
+            keys.forEach(key => { skip[key] = true; });
+        }
+    });
+    Object.keys(options).forEach(key => {
+        if (program[key] === undefined && !skip[key]) {
+            program[key] = options[key];
+        }
+    });
+}
+
+module.exports = {
+    loadProfile,
+    applyProfile
+};
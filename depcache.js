@@ -0,0 +1,264 @@
+// @ts-check
+/**
+ * Cache of npm dependencies between builds.
+ *
+ * Entries are keyed by the project's lockfile hash, Node version and
+ * platform, so that dependencies are only reused for the same inputs:
+ *
+ *   <cache dir>/linux-x64-node10.13.0-<lockfile hash>/
+ *     info.json          - key inputs and when the entry was made and used
+ *     node_modules.tar   - node_modules after a successful install (npm install mode)
+ *     npm/               - npm cache populated by `npm ci` (npm ci mode)
+ *
+ * `npm ci` always removes node_modules, so in that mode only downloads
+ * are reused.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const mkdirp = require('mkdirp');
+const { execFile } = require('child_process');
+const { hashFile } = require('./helpers');
+
+/* Cache directory used by default */
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.cache', 'peerio-desktop-release', 'deps');
+
+/* Lockfiles in order of precedence (npm prefers shrinkwrap) */
+const LOCKFILES = ['npm-shrinkwrap.json', 'package-lock.json'];
+
+/* Files in cache entry */
+const INFO_FILE = 'info.json';
+const MODULES_FILE = 'node_modules.tar';
+const NPM_CACHE_DIR = 'npm';
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {string} key
+ * @property {string} lockfile lockfile name
+ * @property {string} lockfileHash SHA-256 of lockfile
+ * @property {string} node Node version
+ * @property {string} platform platform and architecture
+ * @property {string} createdAt
+ * @property {string} usedAt
+ */
+
+/**
+ * Returns cache key for the project, or null if it has no lockfile,
+ * since dependencies are not reproducible without it.
+ *
+ * @param {string} projectDir
+ * @returns {Promise<CacheEntry|null>} new entry info
+ */
+async function getCacheEntry(projectDir) {
+    const lockfile = LOCKFILES.find(name => fs.existsSync(path.join(projectDir, name)));
+    if (!lockfile) return null;
+    const lockfileHash = await hashFile(path.join(projectDir, lockfile));
+    const platform = `${process.platform}-${process.arch}`;
+    const now = new Date().toISOString();
+    return {
+        key: `${platform}-node${process.version.replace(/^v/, '')}-${lockfileHash.substring(0, 16)}`,
+        lockfile,
+        lockfileHash,
+        node: process.version,
+        platform,
+        createdAt: now,
+        usedAt: now
+    };
+}
+
+/**
+ * Returns npm cache directory of the entry (for `npm ci --cache`).
+ *
+ * @param {string} cacheDir
+ * @param {string} key
+ */
+function getNpmCacheDir(cacheDir, key) {
+    return path.join(cacheDir, key, NPM_CACHE_DIR);
+}
+
+/**
+ * Replaces node_modules of the project with the cached one.
+ *
+ * @param {string} cacheDir
+ * @param {string} key
+ * @param {string} projectDir
+ * @returns {Promise<boolean>} false if node_modules is not cached
+ */
+async function restoreModules(cacheDir, key, projectDir) {
+    const filename = path.join(cacheDir, key, MODULES_FILE);
+    if (!fs.existsSync(filename)) return false;
+    rimraf.sync(path.join(projectDir, 'node_modules'));
+    await tar(['-xf', filename, '-C', projectDir]);
+    touchEntry(cacheDir, key);
+    return true;
+}
+
+/**
+ * Saves cache entry after a successful install: node_modules of the project
+ * if it's given, and entry info (which also marks the npm cache complete).
+ *
+ * @param {string} cacheDir
+ * @param {CacheEntry} entry
+ * @param {string|null} projectDir project with node_modules to cache
+ */
+async function saveEntry(cacheDir, entry, projectDir) {
+    const dir = path.join(cacheDir, entry.key);
+    mkdirp.sync(dir);
+    // Files are written under temporary names unique to this process and
+    // renamed, so that an interrupted save is never restored, and parallel
+    // builds (e.g. variants) saving the same entry don't mix their writes.
+    const suffix = `.${process.pid}.tmp`;
+    if (projectDir) {
+        const filename = path.join(dir, MODULES_FILE);
+        try {
+            await tar(['-cf', filename + suffix, '-C', projectDir, 'node_modules']);
+            fs.renameSync(filename + suffix, filename);
+        } catch (ex) {
+            rimraf.sync(filename + suffix);
+            throw ex;
+        }
+    }
+    const previous = readEntryInfo(dir);
+    const info = Object.assign({}, entry, {
+        createdAt: previous ? previous.createdAt : entry.createdAt,
+        usedAt: new Date().toISOString()
+    });
+    const infoFile = path.join(dir, INFO_FILE);
+    fs.writeFileSync(infoFile + suffix, JSON.stringify(info, null, 2));
+    fs.renameSync(infoFile + suffix, infoFile);
+}
+
+/**
+ * Returns cache entries with their sizes, most recently used first.
+ * Entries without info are incomplete (their install failed or is running).
+ *
+ * @param {string} cacheDir
+ * @returns {Array<{key: string, info: CacheEntry|null, size: number, usedAt: Date}>}
+ */
+function listEntries(cacheDir) {
+    if (!fs.existsSync(cacheDir)) return [];
+    return fs.readdirSync(cacheDir)
+        .map(key => path.join(cacheDir, key))
+        .filter(dir => fs.statSync(dir).isDirectory())
+        .map(dir => {
+            const info = readEntryInfo(dir);
+            return {
+                key: path.basename(dir),
+                info,
+                size: getSize(dir),
+                usedAt: info ? new Date(info.usedAt) : fs.statSync(dir).mtime
+            };
+        })
+        .sort((a, b) => b.usedAt.getTime() - a.usedAt.getTime());
+}
+
+/**
+ * Removes entries that were not used for the given number of days
+ * (0 removes every entry).
+ *
+ * @param {string} cacheDir
+ * @param {number} days
+ * @returns {Array<{key: string, size: number}>} removed entries
+ */
+function pruneEntries(cacheDir, days) {
+    const before = Date.now() - days * 24 * 60 * 60 * 1000;
+    const removed = listEntries(cacheDir).filter(entry => entry.usedAt.getTime() <= before);
+    removed.forEach(entry => rimraf.sync(path.join(cacheDir, entry.key)));
+    return removed;
+}
+
+/**
+ * Formats list of entries for printing.
+ *
+ * @param {Array<{key: string, info: CacheEntry|null, size: number, usedAt: Date}>} entries
+ */
+function formatEntries(entries) {
+    if (entries.length === 0) return 'Dependency cache is empty.';
+    const total = entries.reduce((sum, e) => sum + e.size, 0);
+    return entries.map(({ key, info, size, usedAt }) =>
+        `${key}  ${formatSize(size).padStart(9)}  ` +
+        (info ? `used ${usedAt.toISOString()}, ${info.lockfile}` : 'incomplete')
+    ).concat(`${entries.length} entries, ${formatSize(total)}`).join('\n');
+}
+
+/**
+ * Updates last use time of the entry.
+ *
+ * @param {string} cacheDir
+ * @param {string} key
+ */
+function touchEntry(cacheDir, key) {
+    const info = readEntryInfo(path.join(cacheDir, key));
+    if (!info) return;
+    info.usedAt = new Date().toISOString();
+    fs.writeFileSync(path.join(cacheDir, key, INFO_FILE), JSON.stringify(info, null, 2));
+}
+
+/**
+ * Reads entry info, returns null if it's missing or broken.
+ *
+ * @param {string} dir entry directory
+ * @returns {CacheEntry|null}
+ */
+function readEntryInfo(dir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(dir, INFO_FILE), 'utf8'));
+    } catch (ex) {
+        return null;
+    }
+}
+
+/**
+ * Returns total size of files in directory.
+ *
+ * @param {string} p
+ * @returns {number}
+ */
+function getSize(p) {
+    const stats = fs.lstatSync(p);
+    if (!stats.isDirectory()) return stats.size;
+    return fs.readdirSync(p).reduce((sum, name) => sum + getSize(path.join(p, name)), 0);
+}
+
+/**
+ * Formats size in bytes, e.g. "12.3 MB".
+ *
+ * @param {number} size
+ */
+function formatSize(size) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let i = 0;
+    while (size >= 1024 && i < units.length - 1) {
+        size /= 1024;
+        i++;
+    }
+    return `${i ? size.toFixed(1) : size} ${units[i]}`;
+}
+
+/**
+ * Runs tar with arguments.
+ *
+ * @param {string[]} args
+ * @returns {Promise<void>}
+ */
+function tar(args) {
+    return new Promise((fulfill, reject) => {
+        execFile('tar', args, (err, stdout, stderr) => {
+            if (err) return reject(new Error(`tar ${args[0]} failed:\n${stderr}`));
+            fulfill();
+        });
+    });
+}
+
+module.exports = {
+    DEFAULT_CACHE_DIR,
+    getCacheEntry,
+    getNpmCacheDir,
+    restoreModules,
+    saveEntry,
+    listEntries,
+    pruneEntries,
+    formatEntries
+};
@@ -4,6 +4,7 @@ const fs = require('fs');
 const semver = require('semver-extra');
 const Octokit = require('@octokit/rest');
 const download = require('download');
+const { downloadFile } = require('./helpers');
 
 const github = new Octokit({
     headers: {
@@ -52,6 +53,98 @@ function downloadTagArchive(owner, repo, tag, dest) {
 }
 
 
+/**
+ * Returns the first release (including drafts) with the given tag name,
+ * or null if there's no such release.
+ *
+ * @param {string} owner project owner ("org" from github.com/org/repo)
+ * @param {string} repo project repository ("repo" from github.com/org/repo)
+ * @param {string} tag git tag
+ * @returns Promise<object|null>
+ */
+async function getReleaseByTag(owner, repo, tag) {
+    // Can't get release by tag name, because draft releases are
+    // not assigned to any tag, so we look through all of them.
+    const releases = await fetchReleases(owner, repo);
+    return releases.find(r => r.tag_name === tag) || null;
+}
+
+/**
+ * Returns all releases (including drafts).
+ *
+ * @param {string} owner project owner ("org" from github.com/org/repo)
+ * @param {string} repo project repository ("repo" from github.com/org/repo)
+ * @returns Promise<Array<object>>
+ */
+function fetchReleases(owner, repo) {
+    return github.repos.getReleases({ owner, repo }).then(getAllResults);
+}
+
+/**
+ * Creates a new release.
+ *
+ * @param {string} owner project owner ("org" from github.com/org/repo)
+ * @param {string} repo project repository ("repo" from github.com/org/repo)
+ * @param {string} tag git tag
+ * @param {boolean} prerelease mark as pre-release (otherwise it's a draft)
+ * @param {string} [body] release description (Markdown)
+ * @returns Promise<object> release
+ */
+function createRelease(owner, repo, tag, prerelease, body) {
+    return github.repos.createRelease({
+        owner,
+        repo,
+        tag_name: tag,
+        name: tag,
+        body,
+        draft: !prerelease,
+        prerelease: !!prerelease
+    }).then(res => res.data);
+}
+
+/**
+ * Sets description of the release.
+ *
+ * @param {string} owner project owner ("org" from github.com/org/repo)
+ * @param {string} repo project repository ("repo" from github.com/org/repo)
+ * @param {object} release release returned by getReleaseByTag() or createRelease()
+ * @param {string} body release description (Markdown)
+ * @returns Promise<object> release
+ */
+function setReleaseBody(owner, repo, release, body) {
+    return updateRelease(owner, repo, release, { body });
+}
+
+/**
+ * Changes release fields (name, body, prerelease, etc.).
+ *
+ * @param {string} owner project owner ("org" from github.com/org/repo)
+ * @param {string} repo project repository ("repo" from github.com/org/repo)
+ * @param {object} release release returned by getReleaseByTag()
+ * @param {object} fields fields to change
+ * @returns Promise<object> release
+ */
+function updateRelease(owner, repo, release, fields) {
+    return github.repos.editRelease(Object.assign({
+        owner,
+        repo,
+        release_id: release.id,
+        tag_name: release.tag_name
+    }, fields)).then(res => res.data);
+}
+
+/**
+ * Deletes release (but not its tag).
+ *
+ * @param {string} owner project owner ("org" from github.com/org/repo)
+ * @param {string} repo project repository ("repo" from github.com/org/repo)
+ * @param {object} release release returned by getReleaseByTag()
+ * @returns Promise<void>
+ */
+function deleteRelease(owner, repo, release) {
+    return github.repos.deleteRelease({ owner, repo, release_id: release.id }).then(() => undefined);
+}
+
 /**
  * Upload an asset to release.
  *
@@ -104,9 +197,10 @@ async function uploadReleaseAsset(filePath, contentType, owner, repo, tag, attem
  * @param {string} owner project owner ("org" from github.com/org/repo)
  * @param {string} repo project repository ("repo" from github.com/org/repo)
  * @param {string} tag git tag
- * @returns Promise<void>
+ * @returns Promise<Array<string>> names of deleted assets
  */
 async function deleteReleaseAssets(nameRegexp, owner, repo, tag) {
+    const deleted = [];
     const releases = await github.repos.getReleases({ owner, repo }).then(getAllResults);
     for (let i = 0; i < releases.length; i++) {
         // I think there can be multiple draft releases assigned to
@@ -122,9 +216,40 @@ async function deleteReleaseAssets(nameRegexp, owner, repo, tag) {
             if (nameRegexp.test(file.name)) {
                 console.log(`Deleting ${file.name} from release (tag=${tag_name}, id = ${id})`);
                 await github.repos.deleteAsset({ owner, repo, asset_id: file.id });
+                deleted.push(file.name);
             }
         }
     }
+    return deleted;
+}
+
+/**
+ * Downloads asset (file) of the release with the given tag.
+ * Works for drafts and private repositories, which don't have
+ * public download URLs.
+ *
+ * @param {string} owner project owner ("org" from github.com/org/repo)
+ * @param {string} repo project repository ("repo" from github.com/org/repo)
+ * @param {string} tag git tag
+ * @param {string} name asset name
+ * @param {string} dest destination file path
+ * @returns Promise<string> destination file path
+ */
+async function downloadReleaseAsset(owner, repo, tag, name, dest) {
+    const release = await getReleaseByTag(owner, repo, tag);
+    const asset = release && release.assets.find(a => a.name === name && a.state === 'uploaded');
+    if (!asset) {
+        throw new Error(`Release ${tag} of ${owner}/${repo} has no ${name}`);
+    }
+    const headers = {
+        'user-agent': 'peerio-release-builder',
+        'accept': 'application/octet-stream'
+    };
+    if (authToken) {
+        headers.authorization = `token ${authToken}`;
+    }
+    // API redirects to storage, which must be requested without our token.
+    return downloadFile(asset.url, dest, headers);
 }
 
 /**
@@ -139,6 +264,58 @@ function fetchTags(owner, repo) {
         .then(tags => tags.map(info => info.ref.replace('refs/tags/', '')));
 }
 
+/**
+ * Returns a list of tags, empty if repository has none.
+ * Unlike fetchTags(), fails only if tags can't be listed.
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @returns {Promise<string[]>}
+ */
+async function fetchTagsOrNone(owner, repo) {
+    try {
+        return await fetchTags(owner, repo);
+    } catch (ex) {
+        if (ex.code !== 404) throw ex;
+        // Repository without tags has no tag refs, but it must exist.
+        await github.repos.get({ owner, repo });
+        return [];
+    }
+}
+
+/**
+ * Returns first-parent history between two refs, newest first,
+ * like `git log --first-parent base..head`.
+ *
+ * GitHub compares at most 250 commits.
+ *
+ * @param {string} owner
+ * @param {string} repo
+ * @param {string} base
+ * @param {string} head
+ * @returns Promise<Array<{sha: string, subject: string, body: string}>>
+ */
+async function getFirstParentCommits(owner, repo, base, head) {
+    const res = await github.repos.compareCommits({ owner, repo, base, head });
+    const bySHA = {};
+    res.data.commits.forEach(c => {
+        bySHA[c.sha] = c;
+    });
+    const commits = [];
+    let c = res.data.commits[res.data.commits.length - 1];
+    while (c) {
+        const message = c.commit.message;
+        const i = message.indexOf('\n');
+        commits.push({
+            sha: c.sha,
+            subject: i < 0 ? message : message.substring(0, i),
+            body: i < 0 ? '' : message.substring(i + 1).trim()
+        });
+        c = c.parents.length ? bySHA[c.parents[0].sha] : null;
+    }
+    return commits;
+}
+
 /**
  * Return latest tag for project (according to semver)
  * @param owner
@@ -174,8 +351,18 @@ function getCommitSHA(owner, repo, tagOrBranch) {
 module.exports = {
     authenticate,
     downloadTagArchive,
+    getReleaseByTag,
+    fetchReleases,
+    createRelease,
+    setReleaseBody,
+    updateRelease,
+    deleteRelease,
     uploadReleaseAsset,
     deleteReleaseAssets,
+    downloadReleaseAsset,
+    fetchTags,
+    fetchTagsOrNone,
+    getFirstParentCommits,
     getLatestTag,
     getCommitSHA
 };
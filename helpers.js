@@ -3,9 +3,14 @@
 
 const fs = require('fs');
 const os = require('os');
+const crypto = require('crypto');
 const path = require('path');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const readline = require('readline');
 const mkdirp = require('mkdirp');
-const { exec } = require('child_process');
+const { exec, execFile, execSync } = require('child_process');
 
 // Enqueues a function returning a promise to be run after the currently
 // enqueued item finishes.
@@ -153,18 +158,80 @@ function watchDir(dir, fireInitially, cb) {
  */
 function execp(command, cwd, log = true) {
     return new Promise((fulfill, reject) => {
-        exec(command, { cwd, env: process.env }, (err, stdout, stderr) => {
+        const child = exec(command, { cwd, env: process.env }, (err, stdout) => {
             if (err) {
-                if (log) console.log(stderr);
                 reject(err);
             } else {
-                if (log) console.log(stdout);
                 fulfill(stdout);
             }
-        })
+        });
+        if (log) {
+            // Print output as it comes, not after the command exits,
+            // by lines, so that secrets split between chunks are redacted.
+            readline.createInterface({ input: child.stdout }).on('line', line => console.log(line));
+            readline.createInterface({ input: child.stderr }).on('line', line => console.error(line));
+        }
     })
 }
 
+/**
+ * Runs git quietly with the given arguments.
+ *
+ * @param {string[]} args
+ * @param {string} cwd working directory
+ * @param {object} [options]
+ * @param {object} [options.env] environment variables in addition to ours
+ * @param {string} [options.where] repository description for errors
+ * @returns {Promise<string>} standard output
+ */
+function execGit(args, cwd, { env = {}, where } = {}) {
+    const options = { cwd, env: Object.assign({}, process.env, env), maxBuffer: 64 * 1024 * 1024 };
+    return new Promise((fulfill, reject) => {
+        execFile('git', args, options, (err, stdout, stderr) => {
+            if (err) {
+                return reject(new Error(`git ${args.join(' ')} failed${where ? ` for ${where}` : ''}:\n${stderr}`));
+            }
+            fulfill(stdout);
+        });
+    });
+}
+
+/**
+ * Returns true if the command is available in PATH.
+ *
+ * @param {string} command
+ * @returns {boolean}
+ */
+function commandExists(command) {
+    try {
+        execSync(`command -v ${command}`, { stdio: 'ignore' });
+        return true;
+    } catch (ex) {
+        return false;
+    }
+}
+
+/**
+ * Asks user to type the expected answer to confirm an action.
+ * Fails if there's no terminal to ask.
+ *
+ * @param {string} question
+ * @param {string} expected answer that confirms
+ * @returns {Promise<boolean>} true if confirmed
+ */
+function confirm(question, expected) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new Error('Cannot ask for confirmation without a terminal'));
+    }
+    return new Promise(fulfill => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        rl.question(`${question} `, answer => {
+            rl.close();
+            fulfill(answer.trim() === expected);
+        });
+    });
+}
+
 /**
  * Returns a promise resolving to filenames in dir matching
  * the given regex (if no regex given, returns all filenames)
@@ -220,6 +287,61 @@ function readFile(filename, encoding) {
     });
 }
 
+/**
+ * Calculates SHA-256 hash of file contents.
+ *
+ * @param {string} filename
+ * @returns {Promise<string>} hex-encoded hash
+ */
+function hashFile(filename) {
+    return new Promise((fulfill, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filename)
+            .on('error', reject)
+            .on('data', data => hash.update(data))
+            .on('end', () => fulfill(hash.digest('hex')));
+    });
+}
+
+/**
+ * Downloads URL into file, following redirects.
+ *
+ * Headers are sent only to the host of the original URL,
+ * so that credentials don't leak to storage the file redirects to.
+ *
+ * @param {string} url
+ * @param {string} dest destination file path
+ * @param {object} [headers] request headers
+ * @param {number} [redirects] number of redirects followed so far
+ * @returns Promise<string> destination file path
+ */
+function downloadFile(url, dest, headers = {}, redirects = 0) {
+    return new Promise((fulfill, reject) => {
+        const parsed = new URL(url);
+        const transport = parsed.protocol === 'https:' ? https : http;
+        const req = transport.get(parsed, { headers }, res => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                res.resume();
+                if (redirects >= 5) {
+                    return reject(new Error(`Download of ${url} failed: too many redirects`));
+                }
+                const next = new URL(res.headers.location, url);
+                const nextHeaders = next.host === parsed.host ? headers : {};
+                return fulfill(downloadFile(next.href, dest, nextHeaders, redirects + 1));
+            }
+            if (res.statusCode !== 200) {
+                res.resume();
+                return reject(new Error(`Download of ${url} failed: HTTP ${res.statusCode}`));
+            }
+            mkdirp.sync(path.dirname(dest));
+            res.pipe(fs.createWriteStream(dest))
+                .on('error', reject)
+                .on('finish', () => fulfill(dest));
+        });
+        req.on('error', reject);
+    });
+}
+
 module.exports = {
     Queue,
     criticalError,
@@ -227,7 +349,12 @@ module.exports = {
     makeTempDir,
     watchDir,
     execp,
+    execGit,
+    commandExists,
+    confirm,
     getFileNames,
     writeFile,
-    readFile
+    readFile,
+    hashFile,
+    downloadFile
 };
@@ -0,0 +1,86 @@
+// @ts-check
+/**
+ * Release journal: records what has been done while publishing a release,
+ * so that interrupted publishing can be resumed without rebuilding.
+ * In a work directory (--work-dir) it also records build steps that are done
+ * and their results, so that build can be rerun from any step.
+ *
+ * The journal is a JSON file that is rewritten after every change.
+ */
+
+const fs = require('fs');
+
+class ReleaseJournal {
+    /**
+     * @param {string} filename journal file path
+     * @param {object} [data] initial journal data
+     */
+    constructor(filename, data) {
+        this.filename = filename;
+        this.data = Object.assign({
+            createdAt: new Date().toISOString(),
+            uploaded: [],
+            deleted: [],
+            pushedTags: [],
+            publishedManifests: [],
+            steps: []
+        }, data);
+    }
+
+    /**
+     * Loads journal from file.
+     *
+     * @param {string} filename journal file path
+     * @returns {ReleaseJournal}
+     */
+    static load(filename) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filename, 'utf8'));
+        } catch (ex) {
+            throw new Error(`Cannot read release journal ${filename}: ${ex.message}`);
+        }
+        return new ReleaseJournal(filename, data);
+    }
+
+    save() {
+        fs.writeFileSync(this.filename, JSON.stringify(this.data, null, 2));
+    }
+
+    /**
+     * Sets value and saves journal.
+     *
+     * @param {string} key
+     * @param {any} value
+     */
+    set(key, value) {
+        this.data[key] = value;
+        this.save();
+    }
+
+    /**
+     * Returns true if item is recorded in the list.
+     *
+     * @param {string} list list name ("uploaded", "deleted", "pushedTags", "publishedManifests", "steps")
+     * @param {string} item
+     */
+    has(list, item) {
+        return this.data[list].indexOf(item) >= 0;
+    }
+
+    /**
+     * Records item in the list and saves journal.
+     *
+     * @param {string} list list name ("uploaded", "deleted", "pushedTags", "publishedManifests", "steps")
+     * @param {string} item
+     */
+    add(list, item) {
+        if (this.has(list, item)) return;
+        this.data[list].push(item);
+        this.save();
+    }
+}
+
+module.exports = {
+    ReleaseJournal
+};
@@ -0,0 +1,89 @@
+// @ts-check
+/**
+ * Release lockfile: resolved commit SHAs of the source and every overrides
+ * layer a release was built from, so that it can be rebuilt exactly
+ * with --locked.
+ *
+ * {
+ *   "createdAt": "2018-11-20T10:00:00.000Z",
+ *   "repository": "PeerioTechnologies/peerio-desktop",
+ *   "source": { "location": null, "ref": "v3.0.0", "commit": "<sha>" },
+ *   "overrides": [
+ *     { "spec": "PeerioTechnologies/whitelabel-base", "location": "...", "commit": "<sha>" },
+ *     ...
+ *   ]
+ * }
+ *
+ * Source location is null for GitHub tag archives. Overrides are listed
+ * in the order they were applied, with inherited overrides resolved.
+ */
+
+const fs = require('fs');
+
+/* Lockfile name in build results */
+const LOCKFILE_NAME = 'release-lock.json';
+
+/**
+ * Writes lockfile.
+ *
+ * @param {string} filename
+ * @param {object} data
+ * @param {string} data.repository
+ * @param {{location: string|null, ref: string, commit: string}} data.source
+ * @param {Array<{spec: string, location: string, commit: string|null}>} data.overrides
+ */
+function writeLockfile(filename, { repository, source, overrides }) {
+    const lock = {
+        createdAt: new Date().toISOString(),
+        repository,
+        source,
+        overrides
+    };
+    fs.writeFileSync(filename, JSON.stringify(lock, null, 2));
+}
+
+/**
+ * Reads lockfile and checks that it can be rebuilt from:
+ * every commit must be known and without uncommitted changes.
+ *
+ * @param {string} filename
+ * @returns {object} lock data
+ */
+function readLockfile(filename) {
+    let lock;
+    try {
+        lock = JSON.parse(fs.readFileSync(filename, 'utf8'));
+    } catch (ex) {
+        throw new Error(`Cannot read lockfile ${filename}: ${ex.message}`);
+    }
+    const errors = [];
+    const checkCommit = (what, commit) => {
+        if (!commit || !/^[0-9a-f]{40}$/i.test(commit)) {
+            errors.push(`${what} was built from ${commit ? `"${commit}"` : 'unknown commit'}`);
+        }
+    };
+    if (!lock.source) {
+        errors.push('source is missing');
+    } else {
+        checkCommit('source', lock.source.commit);
+    }
+    if (!Array.isArray(lock.overrides)) {
+        errors.push('overrides list is missing');
+    } else {
+        lock.overrides.forEach(o => checkCommit(`overrides ${o.spec}`, o.commit));
+    }
+    if (errors.length) {
+        throw new Error(
+            `Cannot rebuild from lockfile ${filename}:\n` +
+            errors.map(e => `  - ${e}`).join('\n') +
+            '\nOnly releases built from committed sources can be rebuilt.'
+        );
+    }
+    return lock;
+}
+
+module.exports = {
+    LOCKFILE_NAME,
+    writeLockfile,
+    readLockfile
+};
@@ -0,0 +1,429 @@
+// @ts-check
+/**
+ * Update manifest: which build artifacts go into it under which
+ * manifest platform keys.
+ *
+ * Mapping from manifest platform keys to artifact name patterns can be
+ * given in release profile ("manifest-artifacts"), with --manifest-artifacts
+ * or in project's package.json ("manifestArtifacts"):
+ *
+ *   {
+ *     "mac": "-mac\\.zip$",
+ *     "mac-arm64": "-arm64-mac\\.zip$",
+ *     "windows": { "build": "windows", "pattern": "Setup.*\\.exe$" },
+ *     "linux-x64": "x86_64\\.AppImage$"
+ *   }
+ *
+ * Patterns are case-insensitive regular expressions matched against file
+ * names in dist directory. Build platform ("mac", "windows", "linux") that
+ * produces the artifact is taken from the beginning of the key, unless
+ * given explicitly. Every configured key whose build platform is built must
+ * match exactly one file. Keys of the default mapping are optional, like they
+ * were before the mapping could be configured: a key without artifact is left
+ * out, and of several matching artifacts the last one is used.
+ *
+ * One manifest is made for every update channel: "manifest.txt" for stable,
+ * "manifest-<channel>.txt" for others. If any channel is rolled out to less
+ * than 100% of users or halted, every channel gets rollout descriptor
+ * "rollout-<channel>.json", which is published with the release and signed
+ * as "rollout" file of its manifest (manifests can't have other fields):
+ *
+ *   {
+ *     "channel": "stable",
+ *     "rolloutPercentage": 20,
+ *     "rolloutStart": "2018-11-20T10:00:00.000Z",
+ *     "rolloutHalted": false
+ *   }
+ *
+ * What went into the manifests is saved to "update-manifest.json", so that
+ * they can be re-made with different rollout without rebuilding.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const ManifestMaker = require('@peerio/update-maker');
+const { writeFile } = require('./helpers');
+
+const BUILD_PLATFORMS = ['mac', 'windows', 'linux'];
+
+/* Mapping used if none is configured, its keys are optional */
+const DEFAULT_ARTIFACTS = {
+    'mac': '\\.zip$',
+    'windows': '\\.exe$',
+    'linux-x64': '64\\.AppImage$',
+    'linux-armv7l': 'armv7l\\.AppImage$'
+};
+
+/* Channel that gets "manifest.txt" */
+const DEFAULT_CHANNEL = 'stable';
+
+/* Manifest platform key of rollout descriptor */
+const ROLLOUT_MANIFEST_KEY = 'rollout';
+
+/* Description of manifests published with release */
+const MANIFEST_INFO_FILE = 'update-manifest.json';
+
+/* Files in dist directory that are never artifacts */
+const NOT_ARTIFACTS = /(\.(ya?ml|json|txt|md|blockmap|asc|sig)|^SHA256SUMS)$/i;
+
+/**
+ * Validates mapping and returns it as a list of entries.
+ * Throws error describing every problem found.
+ *
+ * @param {object} mapping
+ * @param {boolean} [optional] entries don't need to match exactly one artifact
+ * @returns {Array<{key: string, build: string, pattern: string, rx: RegExp, optional: boolean}>}
+ */
+function parseArtifactMapping(mapping, optional = false) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        throw new Error('manifest artifacts must be an object mapping platform keys to patterns');
+    }
+    const errors = [];
+    const entries = [];
+    Object.keys(mapping).forEach(key => {
+        const value = typeof mapping[key] === 'string' ? { pattern: mapping[key] } : mapping[key];
+        if (!value || typeof value.pattern !== 'string' || !value.pattern) {
+            errors.push(`"${key}" must be a pattern or { "build": ..., "pattern": ... }`);
+            return;
+        }
+        const build = value.build || BUILD_PLATFORMS.find(p => key === p || key.startsWith(`${p}-`));
+        if (BUILD_PLATFORMS.indexOf(build) < 0) {
+            errors.push(`"${key}" needs "build" platform (${BUILD_PLATFORMS.join(', ')})`);
+            return;
+        }
+        let rx;
+        try {
+            rx = new RegExp(value.pattern, 'i');
+        } catch (ex) {
+            errors.push(`"${key}" has invalid pattern: ${ex.message}`);
+            return;
+        }
+        entries.push({ key, build, pattern: value.pattern, rx, optional });
+    });
+    if (errors.length) {
+        throw new Error(`Invalid manifest artifacts:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    }
+    return entries;
+}
+
+/**
+ * Returns manifest artifact mapping entries: configured mapping if given,
+ * otherwise mapping from package.json of the project, otherwise default.
+ *
+ * @param {object|undefined} configured mapping from profile or command line
+ * @param {string} projectDir
+ */
+function resolveArtifactMapping(configured, projectDir) {
+    if (configured) return parseArtifactMapping(configured);
+    const json = JSON.parse(fs.readFileSync(path.join(projectDir, 'package.json'), 'utf8'));
+    return json.manifestArtifacts
+        ? parseArtifactMapping(json.manifestArtifacts)
+        : parseArtifactMapping(DEFAULT_ARTIFACTS, true);
+}
+
+/**
+ * Returns names of files in dist directory that may be build artifacts.
+ *
+ * @param {string} distpath
+ * @returns {string[]}
+ */
+function listArtifacts(distpath) {
+    return fs.readdirSync(distpath)
+        .filter(name => !NOT_ARTIFACTS.test(name))
+        .filter(name => fs.statSync(path.join(distpath, name)).isFile());
+}
+
+/**
+ * Matches artifact file names against mapping entries for the built platforms.
+ * Throws if an entry matches no file or more than one file, unless it's optional.
+ *
+ * @param {string[]} names file names in dist directory
+ * @param {Array<{key: string, build: string, pattern: string, rx: RegExp, optional: boolean}>} entries
+ * @param {string[]} platforms built platforms ("mac", "windows", "linux")
+ * @returns {Array<{key: string, name: string}>}
+ */
+function matchArtifacts(names, entries, platforms) {
+    const candidates = names.filter(name => !NOT_ARTIFACTS.test(name));
+    const errors = [];
+    const matched = [];
+    entries.filter(e => platforms.indexOf(e.build) >= 0).forEach(e => {
+        const found = candidates.filter(name => e.rx.test(name));
+        if (e.optional) {
+            if (found.length > 1) {
+                console.warn(`Warning: "${e.key}" matches several artifacts, using ${found[found.length - 1]}`);
+            }
+            if (found.length) matched.push({ key: e.key, name: found[found.length - 1] });
+        } else if (found.length === 0) {
+            errors.push(`no artifact for "${e.key}" matches /${e.pattern}/`);
+        } else if (found.length > 1) {
+            errors.push(`"${e.key}" pattern /${e.pattern}/ matches several artifacts: ${found.join(', ')}`);
+        } else {
+            matched.push({ key: e.key, name: found[0] });
+        }
+    });
+    if (errors.length) {
+        throw new Error(
+            `Cannot make update manifest:\n${errors.map(e => `  - ${e}`).join('\n')}\n` +
+            `Artifacts: ${candidates.join(', ') || 'none'}`
+        );
+    }
+    candidates
+        .filter(name => !matched.some(m => m.name === name))
+        .forEach(name => console.log(`Not in update manifest: ${name}`));
+    return matched;
+}
+
+/**
+ * Parses list of channels, e.g. "stable:20,beta", where the number after
+ * colon is the percentage of users the release is rolled out to.
+ * Percentage is null if not given.
+ *
+ * @param {string} list comma-separated channels
+ * @returns {Array<{name: string, rollout: number|null}>}
+ */
+function parseChannels(list) {
+    const errors = [];
+    const channels = String(list).split(',').map(s => s.trim()).map(item => {
+        const [name, percent] = item.split(':');
+        if (!/^[a-z0-9][\w-]*$/i.test(name)) {
+            errors.push(`"${item}" must be a channel name, optionally followed by ":<percent>"`);
+        }
+        const rollout = percent === undefined ? null : Number(percent);
+        if (rollout !== null && !(percent && rollout > 0 && rollout <= 100)) {
+            errors.push(`"${item}" rollout must be a percentage from 0 (exclusive) to 100`);
+        }
+        return { name, rollout };
+    });
+    channels.forEach((c, i) => {
+        if (channels.findIndex(other => other.name === c.name) !== i) {
+            errors.push(`channel "${c.name}" is listed twice`);
+        }
+    });
+    if (errors.length) {
+        throw new Error(`Invalid channels:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    }
+    return channels;
+}
+
+/**
+ * Returns channels to make manifests for with their rollout.
+ *
+ * Channels not in the list (or all of them, if there's no list) keep
+ * rollout from previous manifests, if any. Rollout start and halted state
+ * are kept too, unless given; new rollouts start now.
+ *
+ * @param {string|undefined} list comma-separated channels (see parseChannels)
+ * @param {object} options
+ * @param {string} options.defaultChannel channel if there's no list or previous channels
+ * @param {string} [options.rolloutStart] ISO time of rollout start
+ * @param {boolean} [options.halt] halt (true) or resume (false) rollout,
+ *                                 keep previous state if not given
+ * @param {Channel[]} [previous] channels of previously made manifests
+ * @returns {Channel[]}
+ */
+function resolveChannels(list, { defaultChannel, rolloutStart, halt }, previous = []) {
+    if (rolloutStart && isNaN(Date.parse(rolloutStart))) {
+        throw new Error(`Invalid rollout start time "${rolloutStart}", expected ISO time`);
+    }
+    let channels;
+    if (list) {
+        channels = parseChannels(list);
+    } else if (previous.length) {
+        channels = previous.map(c => ({ name: c.name, rollout: null }));
+    } else {
+        channels = parseChannels(defaultChannel);
+    }
+    return channels.map(({ name, rollout }) => {
+        const before = previous.find(c => c.name === name);
+        return {
+            name,
+            rollout: rollout || (before ? before.rollout : 100),
+            rolloutStart: rolloutStart
+                ? new Date(rolloutStart).toISOString()
+                : (before ? before.rolloutStart : new Date().toISOString()),
+            halted: halt === undefined ? !!(before && before.halted) : halt
+        };
+    });
+}
+
+/**
+ * Returns manifest file name for the channel.
+ *
+ * @param {string} channel
+ */
+function getManifestFileName(channel) {
+    return channel === DEFAULT_CHANNEL ? 'manifest.txt' : `manifest-${channel}.txt`;
+}
+
+/**
+ * Returns file name of rollout descriptor of the channel.
+ *
+ * @param {string} channel
+ */
+function getRolloutFileName(channel) {
+    return `rollout-${channel}.json`;
+}
+
+/**
+ * Unlocks the key file and returns a function that makes manifest makers
+ * with the unlocked key, so that the key is unlocked (and its passphrase
+ * asked for) once, and every manifest is made by a fresh maker without
+ * files added for other manifests.
+ *
+ * Key material is what unlockKeyFile() sets on a new maker; fresh makers
+ * get it on top of what their constructor sets.
+ *
+ * @param {string} keyFile
+ * @returns {Promise<MakerFactory>}
+ */
+async function unlockManifestKey(keyFile) {
+    const maker = new ManifestMaker();
+    const locked = Object.assign({}, maker);
+    await maker.unlockKeyFile(keyFile);
+    const key = {};
+    Object.keys(maker)
+        .filter(name => maker[name] !== locked[name])
+        .forEach(name => { key[name] = maker[name]; });
+    return () => Object.assign(new ManifestMaker(), key);
+}
+
+/**
+ * Makes and signs manifest for every channel from artifacts in the directory
+ * and writes them there.
+ *
+ * @param {MakerFactory} newMaker makes ManifestMaker instances with unlocked key
+ * @param {string} dir directory with artifacts
+ * @param {object} publisher publisher that provides download URLs
+ * @param {ManifestInfo} info
+ * @param {Channel[]} channels
+ * @returns {Promise<Array<{channel: string, file: string, rollout: string|null}>>}
+ *          manifest files with rollout descriptors, which must be published
+ *          before manifests
+ */
+async function generateManifests(newMaker, dir, publisher, { version, optionalSince, artifacts }, channels) {
+    const staged = channels.some(c => c.rollout < 100 || c.halted);
+    artifacts.forEach(({ key, name }) => console.log(`Update manifest: ${key} -> ${name}`));
+    const files = [];
+    for (let i = 0; i < channels.length; i++) {
+        const c = channels[i];
+        const m = newMaker();
+        m.setVersion(version);
+        if (optionalSince) {
+            m.setOptionalSince(optionalSince);
+        }
+        artifacts.forEach(({ key, name }) => {
+            publisher.addManifestFile(m, key, path.join(dir, name), version);
+        });
+        let rollout = null;
+        if (staged) {
+            rollout = await writeFile(path.join(dir, getRolloutFileName(c.name)), JSON.stringify({
+                channel: c.name,
+                rolloutPercentage: c.rollout,
+                rolloutStart: c.rolloutStart,
+                rolloutHalted: c.halted
+            }, null, 2));
+            publisher.addManifestFile(m, ROLLOUT_MANIFEST_KEY, rollout, version);
+            console.log(
+                `Update manifest for ${c.name}: ${c.halted ? 'halted' : `${c.rollout}%`} since ${c.rolloutStart}`
+            );
+        }
+        const file = await writeFile(path.join(dir, getManifestFileName(c.name)), await m.generate());
+        files.push({ channel: c.name, file, rollout });
+    }
+    return files;
+}
+
+/**
+ * Creates peerio-updater manifests for dist files in the project directory
+ * and writes them with update-manifest.json to dist directory.
+ *
+ * @param {MakerFactory} newMaker makes ManifestMaker instances with unlocked key
+ * @param {string} dir project directory
+ * @param {object} publisher publisher that provides download URLs
+ * @param {{version: string, optionalSince: string|null}} release
+ * @param {Array<{key: string, build: string, pattern: string, rx: RegExp}>} entries mapping entries
+ * @param {string[]} platforms built platforms
+ * @param {Channel[]} channels
+ * @returns {Promise<Array<{channel: string, file: string, rollout: string|null}>>}
+ *          manifest files with rollout descriptors
+ */
+async function makeUpdaterManifest(newMaker, dir, publisher, { version, optionalSince }, entries, platforms, channels) {
+    const distpath = path.join(dir, 'dist');
+    const info = {
+        version,
+        optionalSince,
+        artifacts: matchArtifacts(listArtifacts(distpath), entries, platforms),
+        channels
+    };
+    const files = await generateManifests(newMaker, distpath, publisher, info, channels);
+    writeManifestInfo(path.join(distpath, MANIFEST_INFO_FILE), info);
+    return files;
+}
+
+/**
+ * Writes description of made manifests.
+ *
+ * @param {string} filename
+ * @param {ManifestInfo} info
+ */
+function writeManifestInfo(filename, info) {
+    fs.writeFileSync(filename, JSON.stringify(info, null, 2));
+}
+
+/**
+ * Reads description of made manifests.
+ *
+ * @param {string} filename
+ * @returns {ManifestInfo}
+ */
+function readManifestInfo(filename) {
+    let info;
+    try {
+        info = JSON.parse(fs.readFileSync(filename, 'utf8'));
+    } catch (ex) {
+        throw new Error(`Cannot read ${MANIFEST_INFO_FILE}: ${ex.message}`);
+    }
+    if (!info || typeof info.version !== 'string' ||
+        !Array.isArray(info.artifacts) || !Array.isArray(info.channels)) {
+        throw new Error(`${MANIFEST_INFO_FILE} must have version, artifacts and channels`);
+    }
+    return info;
+}
+
+/**
+ * @typedef {() => object} MakerFactory makes ManifestMaker instances with unlocked key
+ */
+
+/**
+ * @typedef {object} Channel
+ * @property {string} name
+ * @property {number} rollout percentage of users
+ * @property {string} rolloutStart ISO time
+ * @property {boolean} halted
+ */
+
+/**
+ * @typedef {object} ManifestInfo
+ * @property {string} version
+ * @property {string|null} optionalSince
+ * @property {Array<{key: string, name: string}>} artifacts manifest platform keys and file names
+ * @property {Channel[]} channels
+ */
+
+module.exports = {
+    DEFAULT_ARTIFACTS,
+    DEFAULT_CHANNEL,
+    MANIFEST_INFO_FILE,
+    parseArtifactMapping,
+    resolveArtifactMapping,
+    listArtifacts,
+    matchArtifacts,
+    parseChannels,
+    resolveChannels,
+    getManifestFileName,
+    unlockManifestKey,
+    generateManifests,
+    makeUpdaterManifest,
+    readManifestInfo,
+    writeManifestInfo
+};
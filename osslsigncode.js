@@ -7,19 +7,29 @@
  *
  * NOTE: it doesn't pass any of the options, Windows
  * signer knows better what options to use.
+ *
+ * Files are passed to signer either through a shared directory
+ * (SHARED_DIR environment variable) or over HTTP(S) (SIGNER_URL and
+ * SIGNER_TOKEN environment variables, see signservice.js).
  */
 
 /** Parallels shared directory between Mac and Windows */
 const SHARED_DIR = process.env.SHARED_DIR;
 
+/** URL of signer accepting requests over HTTP(S) */
+const SIGNER_URL = process.env.SIGNER_URL;
+
 const fs = require('fs');
 const path = require('path');
 const mkdirp = require('mkdirp');
 const { execSync } = require('child_process');
-const { moveFileToDir, criticalError, watchDir } = require('./helpers');
+const { criticalError, watchDir, hashFile, writeFile, readFile } = require('./helpers');
+const {
+    requestSigning, makeJobId, getJobFileNames, DEFAULT_TIMEOUT
+} = require('./signservice');
 
-const INPUT_DIR = path.join(SHARED_DIR, 'in');
-const OUTPUT_DIR = path.join(SHARED_DIR, 'out');
+/** Signing job timeout in milliseconds */
+const TIMEOUT = Number(process.env.SIGNER_TIMEOUT) || DEFAULT_TIMEOUT;
 
 let IN_FILE;
 let OUT_FILE;
@@ -39,39 +49,132 @@ for (let i = 0; i < argv.length; i++) {
     }
 }
 
-signWindowsExecutable(IN_FILE)
-    .then(signedFile => {
-        mkdirp.sync(path.dirname(OUT_FILE));
-        // XXX: This trickery is here because of disappearing files
-        // from shared folder in Parallels. As soon as you try to
-        // rename 'elevate.exe', it disappears. WTF.
-        // TODO: shell escape
-        execSync(`cp '${signedFile}' '${OUT_FILE}'`);
-        try {
-            execSync(`rm '${signedFile}'`);
-        } catch (err) {
-            // don't care if it succeeds, some bug in Parallels (?) makes file disappear
-            console.log(`rm failed, but so be it`, err);
-        }
-        console.log('Done');
+if (SIGNER_URL) {
+    mkdirp.sync(path.dirname(OUT_FILE));
+    console.log(`Sending file for signing to ${SIGNER_URL} ${IN_FILE}`);
+    requestSigning({
+        url: SIGNER_URL,
+        token: process.env.SIGNER_TOKEN,
+        inFile: IN_FILE,
+        outFile: OUT_FILE,
+        timeout: TIMEOUT,
+        ca: process.env.SIGNER_CA ? fs.readFileSync(process.env.SIGNER_CA, 'utf8') : undefined
     })
-    .catch(criticalError);
+        .then(jobId => console.log(`Done (job ${jobId})`))
+        .catch(criticalError);
+} else {
+    signSharedFile();
+}
+
+/**
+ * Signs IN_FILE via shared directory and copies the result to OUT_FILE.
+ */
+function signSharedFile() {
+    signWindowsExecutable(IN_FILE)
+        .then(({ jobId, signedFile, resultFile }) => {
+            mkdirp.sync(path.dirname(OUT_FILE));
+            // XXX: This trickery is here because of disappearing files
+            // from shared folder in Parallels. As soon as you try to
+            // rename 'elevate.exe', it disappears. WTF.
+            // TODO: shell escape
+            execSync(`cp '${signedFile}' '${OUT_FILE}'`);
+            try {
+                execSync(`rm '${signedFile}' '${resultFile}'`);
+            } catch (err) {
+                // don't care if it succeeds, some bug in Parallels (?) makes file disappear
+                console.log(`rm failed, but so be it`, err);
+            }
+            console.log(`Done (job ${jobId})`);
+        })
+        .catch(criticalError);
+}
 
+/**
+ * Sends file for signing via shared directory and waits for the result.
+ *
+ * Rejects if signing failed or timed out, or if the signed file
+ * doesn't match the hash in result or wasn't changed by signing.
+ *
+ * @param {string} filepath file to sign
+ * @returns {Promise<{jobId: string, signedFile: string, resultFile: string}>}
+ */
+async function signWindowsExecutable(filepath) {
+    const INPUT_DIR = path.join(SHARED_DIR, 'in');
+    const OUTPUT_DIR = path.join(SHARED_DIR, 'out');
+    const jobId = makeJobId();
+    const names = getJobFileNames(jobId, path.basename(filepath));
+    const unsignedHash = await hashFile(filepath);
 
-function signWindowsExecutable(filepath) {
-    const origname = path.basename(filepath);
-    return new Promise((fulfill, reject) => {
-        // Watch output directory for changes and resolve as soon as signed
-        // .exe file appears there.
+    const result = await new Promise((fulfill, reject) => {
+        // Watch output directory for changes and resolve as soon as
+        // the job result appears there.
         const dispose = watchDir(OUTPUT_DIR, false, (basename) => {
-            if (basename === origname) {
+            if (basename === names.result) {
                 dispose();
-                fulfill(path.join(OUTPUT_DIR, basename));
+                clearTimeout(timer);
+                readFile(path.join(OUTPUT_DIR, basename), 'utf8')
+                    .then(JSON.parse)
+                    .then(fulfill, reject);
             }
         });
 
-        console.log(`Sending file for signing on Windows ${filepath}`);
-        // no need to await here, we don't care what happens next
-        moveFileToDir(filepath, INPUT_DIR).catch(criticalError);
+        const timer = setTimeout(() => {
+            dispose();
+            // Cancel the job if signer didn't pick it up.
+            [names.job, names.file].forEach(name => {
+                try { fs.unlinkSync(path.join(INPUT_DIR, name)); } catch (ex) { /* already taken */ }
+            });
+            reject(new Error(`Signing job ${jobId} (${filepath}) timed out after ${TIMEOUT} ms`));
+        }, TIMEOUT);
+
+        console.log(`Sending file for signing on Windows ${filepath} (job ${jobId})`);
+        // Job description is written last, so that signer
+        // never sees incomplete file to sign.
+        copyFile(filepath, path.join(INPUT_DIR, names.file))
+            .then(() => writeFile(path.join(INPUT_DIR, names.job), JSON.stringify({
+                jobId,
+                file: names.file,
+                sha256: unsignedHash,
+                timeout: TIMEOUT
+            })))
+            .catch(err => {
+                dispose();
+                clearTimeout(timer);
+                reject(err);
+            });
+    });
+
+    const resultFile = path.join(OUTPUT_DIR, names.result);
+    if (result.jobId !== jobId) {
+        throw new Error(`Result for job ${result.jobId} received instead of ${jobId}`);
+    }
+    if (result.error) {
+        try { fs.unlinkSync(resultFile); } catch (ex) { /* doesn't matter */ }
+        throw new Error(`Signing job ${jobId} (${filepath}) failed: ${result.error}\n${result.output || ''}`);
+    }
+    const signedFile = path.join(OUTPUT_DIR, result.file);
+    const signedHash = await hashFile(signedFile);
+    if (signedHash !== result.sha256) {
+        throw new Error(`Signed file for job ${jobId} doesn't match its hash`);
+    }
+    if (signedHash === unsignedHash) {
+        throw new Error(`Signer returned unchanged file for job ${jobId}`);
+    }
+    return { jobId, signedFile, resultFile };
+}
+
+/**
+ * Copies file.
+ *
+ * @param {string} src
+ * @param {string} dest
+ * @returns {Promise<void>}
+ */
+function copyFile(src, dest) {
+    return new Promise((fulfill, reject) => {
+        fs.copyFile(src, dest, err => {
+            if (err) return reject(err);
+            fulfill();
+        });
     });
 }
@@ -1,22 +1,64 @@
 // @ts-check
 /**
- * Overrides JSON values and files.
+ * Overrides values in JSON, YAML and plist files, patches, replaces
+ * and renders files.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
 const merge = require('lodash/merge');
+const get = require('lodash/get');
+const cloneDeep = require('lodash/cloneDeep');
+const isEqual = require('lodash/isEqual');
+const isPlainObject = require('lodash/isPlainObject');
+const has = require('lodash/has');
+const set = require('lodash/set');
+const unset = require('lodash/unset');
+const yaml = require('js-yaml');
+const plist = require('plist');
 const copy = require('recursive-copy');
+const mkdirp = require('mkdirp');
+
+/**
+ * Parsers and serializers of supported data file formats.
+ */
+const FORMATS = {
+    json: {
+        parse: text => JSON.parse(text),
+        stringify: data => JSON.stringify(data, null, "  ")
+    },
+    yaml: {
+        parse: text => yaml.safeLoad(text),
+        stringify: data => yaml.safeDump(data)
+    },
+    plist: {
+        parse: text => plist.parse(text),
+        stringify: data => plist.build(data)
+    }
+};
+
+/* Layout of overrides repositories */
+const REPOSITORY_LAYOUT = {
+    jsonOverridesFile: 'json-overrides.json',
+    fileOverridesDir: 'file-overrides',
+    patchesDir: 'patches',
+    fileTemplatesDir: 'file-templates',
+    brandFile: 'brand.json'
+};
 
 if (require.main === module) {
     // Launched as an executable.
     const program = require('commander');
 
     program
-        .usage('--overrides <dir> --target <dir>')
+        .usage('--overrides <dir> --target <dir> [--check]')
         .option('-o --overrides <dir>', 'Directory with overrides')
         .option('-t --target <dir>', 'Target directory (with a copy of Peerio Desktop sources to merge into)')
+        .option('-c --check', 'Print report of changes and exit with code 2 if there are warnings')
+        .option('-p --previous-report <file>', 'Report of the previous release to find replaced files changed upstream')
+        .option('-r --report <file>', 'Save report to file')
         .parse(process.argv);
 
     if (!program.overrides || !program.target) {
@@ -27,35 +69,94 @@ if (require.main === module) {
     const SRC_DIR = program.overrides;
     const DST_DIR = program.target;
 
-    override(SRC_DIR, DST_DIR)
-        .then(() => process.exit(0))
+    override(SRC_DIR, DST_DIR, REPOSITORY_LAYOUT)
+        .then(report => {
+            if (program.previousReport) {
+                checkUpstreamChanges(report, readReportFile(program.previousReport));
+            }
+            const entries = [{ name: SRC_DIR, report }];
+            if (program.report) {
+                fs.writeFileSync(program.report, JSON.stringify(entries, null, 2));
+            }
+            if (program.check) {
+                console.log(formatReport(entries));
+                process.exit(report.warnings.length ? 2 : 0);
+            }
+            process.exit(0);
+        })
         .catch(err => {
-            console.error(err);
+            console.error(err.message);
             process.exit(1);
         });
 }
 
+/**
+ * Applies overrides from srcDir to dstDir in this order: JSON overrides,
+ * patches, file overrides, file templates.
+ *
+ * Resolves to a report of changes:
+ *
+ *   {
+ *     json: {
+ *       "package.json": { added: ["build.foo"], changed: ["name"], unchanged: ["license"] },
+ *       ...
+ *     },
+ *     patched: ["src/main.js", ...],
+ *     files: {
+ *       added: ["src/static/img/brand.png", ...],
+ *       replaced: { "src/static/img/icon.png": "<SHA-256 of upstream file>", ... }
+ *     },
+ *     templates: ["src/static/about.html", ...],
+ *     warnings: ["package.json: \"build.foo\" doesn't exist upstream", ...]
+ *   }
+ *
+ * where json lists overridden key paths, and other properties list patched,
+ * copied and rendered files relative to dstDir.
+ *
+ * @param {string} srcDir directory with overrides
+ * @param {string} dstDir target directory
+ * @param {object} cfg
+ * @param {string} [cfg.jsonOverridesFile] JSON overrides file relative to srcDir
+ * @param {string} [cfg.fileOverridesDir] file overrides directory relative to srcDir
+ * @param {string} [cfg.patchesDir] patches directory relative to srcDir
+ * @param {string} [cfg.fileTemplatesDir] file templates directory relative to srcDir
+ * @param {string} [cfg.brandFile] JSON file with brand settings for templates relative to srcDir
+ * @param {object} [cfg.variables] additional template variables
+ * @returns {Promise<OverrideReport>}
+ */
 function override(srcDir, dstDir, cfg) {
-    if (cfg.jsonOverridesFile) {
-        // Merge json overrides.
-        let jsonOverridesPath = path.join(srcDir, cfg.jsonOverridesFile);
-        if (jsonOverridesPath[0] !== "/") {
-            jsonOverridesPath = "./" + jsonOverridesPath;
-        }
-        const jsonOverrides = require(jsonOverridesPath);
-        Object.keys(jsonOverrides).forEach(filename => {
-            const filepath = path.join(dstDir, filename);
-            const target = JSON.parse(fs.readFileSync(filepath, "utf8"));
-            merge(target, jsonOverrides[filename]);
-            fs.writeFileSync(filepath, JSON.stringify(target, null, "  "));
-            console.log(`JSON merged: ${filename}`)
-        });
+    const report = {
+        json: {},
+        patched: [],
+        files: { added: [], replaced: {} },
+        templates: [],
+        warnings: []
+    };
+    try {
+        applyDataOverrides(srcDir, dstDir, cfg, report);
+        applyPatches(srcDir, dstDir, cfg, report);
+    } catch (ex) {
+        return Promise.reject(ex);
     }
 
+    let copied = Promise.resolve();
     if (cfg.fileOverridesDir) {
         // Merge file trees.
         const fileOverridesPath = path.join(srcDir, cfg.fileOverridesDir);
-        return copy(fileOverridesPath, dstDir, {
+        if (!fs.existsSync(fileOverridesPath)) {
+            return Promise.reject(new Error(`File overrides directory ${fileOverridesPath} doesn't exist`));
+        }
+        // Remember upstream versions of replaced files to find
+        // out later if they have changed since previous release.
+        listFiles(fileOverridesPath).forEach(file => {
+            const dest = path.join(dstDir, file);
+            if (fs.existsSync(dest)) {
+                report.files.replaced[file] = hashFileSync(dest);
+            } else {
+                report.files.added.push(file);
+            }
+        });
+        copied = copy(fileOverridesPath, dstDir, {
             overwrite: true,
             dot: true
         }).then(results => {
@@ -64,8 +165,459 @@ function override(srcDir, dstDir, cfg) {
             });
         });
     }
+    return copied
+        .then(() => renderTemplates(srcDir, dstDir, cfg, report))
+        .then(() => {
+            report.warnings.forEach(w => console.warn(`Warning: ${w}`));
+            return report;
+        });
+}
+
+/**
+ * Applies overrides from JSON overrides file to data files in dstDir
+ * and records changed key paths in report.
+ *
+ * Overrides for a file are either an object, which is merged into it,
+ * or an array of operations (see applyOperation).
+ *
+ * @param {string} srcDir directory with overrides
+ * @param {string} dstDir target directory
+ * @param {object} cfg
+ * @param {{json: Object<string, string[]>}} report
+ */
+function applyDataOverrides(srcDir, dstDir, cfg, report) {
+    if (cfg.jsonOverridesFile) {
+        // Merge json overrides.
+        const jsonOverridesPath = path.join(srcDir, cfg.jsonOverridesFile);
+        let jsonOverrides;
+        try {
+            jsonOverrides = JSON.parse(fs.readFileSync(jsonOverridesPath, "utf8"));
+        } catch (ex) {
+            throw new Error(`Cannot read JSON overrides ${jsonOverridesPath}: ${ex.message}`);
+        }
+        Object.keys(jsonOverrides).forEach(filename => {
+            const filepath = path.join(dstDir, filename);
+            if (!fs.existsSync(filepath)) {
+                throw new Error(`Cannot override ${filename}: file doesn't exist upstream`);
+            }
+            const format = getFormat(filename);
+            const original = format.parse(fs.readFileSync(filepath, "utf8"));
+            let operations = jsonOverrides[filename];
+            if (!Array.isArray(operations)) {
+                // Plain object is merged into the whole file.
+                operations = [{ op: "merge", path: "", value: operations }];
+            }
+            let target = cloneDeep(original);
+            const paths = [];
+            operations.forEach((operation, i) => {
+                try {
+                    target = applyOperation(target, operation);
+                } catch (ex) {
+                    throw new Error(`Cannot apply override #${i + 1} to ${filename}: ${ex.message}`);
+                }
+                getChangedPaths(operation).forEach(keys => {
+                    if (!paths.some(p => isEqual(p.keys, keys))) {
+                        paths.push({ keys, merged: operation.op === 'merge' });
+                    }
+                });
+            });
+            fs.writeFileSync(filepath, format.stringify(target));
+            console.log(`JSON merged: ${filename}`)
+
+            const result = report.json[filename] = { added: [], changed: [], unchanged: [] };
+            paths.forEach(({ keys, merged }) => {
+                const name = keys.length ? keys.join('.') : '(whole file)';
+                if (keys.length && !has(original, keys)) {
+                    result.added.push(name);
+                    // Merging into a key that upstream has renamed or
+                    // removed silently adds a dead key.
+                    if (merged) report.warnings.push(`${filename}: "${name}" doesn't exist upstream`);
+                } else if (isEqual(getAt(original, keys), getAt(target, keys))) {
+                    result.unchanged.push(name);
+                } else {
+                    result.changed.push(name);
+                }
+            });
+        });
+    }
+}
+
+/**
+ * Applies patches from patches directory to dstDir, in order of file names.
+ *
+ * "*.patch" and "*.diff" files are unified diffs applied with "git apply".
+ * "*.json" files contain regular expression replacements:
+ *
+ *   {
+ *     "src/main.js": [
+ *       { "find": "Peerio", "flags": "g", "replace": "Acme" }
+ *     ]
+ *   }
+ *
+ * Throws if a diff doesn't apply cleanly or a regular expression
+ * doesn't match.
+ *
+ * @param {string} srcDir directory with overrides
+ * @param {string} dstDir target directory
+ * @param {object} cfg
+ * @param {{patched: string[]}} report
+ */
+function applyPatches(srcDir, dstDir, cfg, report) {
+    if (!cfg.patchesDir) return;
+    const patchesPath = path.resolve(srcDir, cfg.patchesDir);
+    if (!fs.existsSync(patchesPath)) return;
+    fs.readdirSync(patchesPath).sort().forEach(name => {
+        const patchPath = path.join(patchesPath, name);
+        const ext = path.extname(name).toLowerCase();
+        if (ext === '.patch' || ext === '.diff') {
+            let files;
+            try {
+                execFileSync('git', ['apply', '--check', patchPath], { cwd: dstDir, stdio: 'pipe' });
+                files = execFileSync('git', ['apply', '--numstat', patchPath], { cwd: dstDir, encoding: 'utf8' })
+                    .split('\n')
+                    .filter(line => line)
+                    .map(line => line.split('\t')[2]);
+                execFileSync('git', ['apply', patchPath], { cwd: dstDir, stdio: 'pipe' });
+            } catch (ex) {
+                throw new Error(`Patch ${name} doesn't apply cleanly:\n${ex.stderr || ex.message}`);
+            }
+            files.forEach(file => addUnique(report.patched, file));
+            console.log(`Patch applied: ${name}`);
+        } else if (ext === '.json') {
+            const rules = JSON.parse(fs.readFileSync(patchPath, "utf8"));
+            Object.keys(rules).forEach(filename => {
+                const filepath = path.join(dstDir, filename);
+                if (!fs.existsSync(filepath)) {
+                    throw new Error(`Patch ${name}: ${filename} not found`);
+                }
+                let text = fs.readFileSync(filepath, "utf8");
+                rules[filename].forEach(rule => {
+                    const rx = new RegExp(rule.find, rule.flags);
+                    if (!rx.test(text)) {
+                        throw new Error(`Patch ${name}: "${rule.find}" not found in ${filename}`);
+                    }
+                    rx.lastIndex = 0;
+                    text = text.replace(rx, rule.replace);
+                });
+                fs.writeFileSync(filepath, text);
+                addUnique(report.patched, filename);
+            });
+            console.log(`Patch applied: ${name}`);
+        }
+    });
+}
+
+/**
+ * Renders files from templates directory into the same paths in dstDir.
+ *
+ * Templates refer to variables as {{ name }}; nested values are accessed
+ * with dots, e.g. {{ brand.supportEmail }}. Variables:
+ *
+ *   productName - product name from package.json (after JSON overrides)
+ *   version     - version from package.json, unless given in cfg.variables
+ *   brand       - contents of brand file
+ *
+ * and anything from cfg.variables (builder adds "commit", the source
+ * commit SHA). Unknown variables are errors.
+ *
+ * @param {string} srcDir directory with overrides
+ * @param {string} dstDir target directory
+ * @param {object} cfg
+ * @param {{templates: string[]}} report
+ */
+function renderTemplates(srcDir, dstDir, cfg, report) {
+    if (!cfg.fileTemplatesDir) return;
+    const templatesPath = path.resolve(srcDir, cfg.fileTemplatesDir);
+    if (!fs.existsSync(templatesPath)) return;
+
+    const pkg = JSON.parse(fs.readFileSync(path.join(dstDir, 'package.json'), "utf8"));
+    const brandPath = cfg.brandFile && path.resolve(srcDir, cfg.brandFile);
+    const variables = Object.assign({
+        productName: pkg.productName || pkg.name,
+        version: pkg.version,
+        brand: brandPath && fs.existsSync(brandPath)
+            ? JSON.parse(fs.readFileSync(brandPath, "utf8"))
+            : {}
+    }, cfg.variables);
+
+    listFiles(templatesPath).forEach(file => {
+        const template = fs.readFileSync(path.join(templatesPath, file), "utf8");
+        const text = template.replace(/{{\s*([\w.]+)\s*}}/g, (match, name) => {
+            const value = get(variables, name);
+            if (value === undefined || (typeof value === 'object' && value !== null)) {
+                throw new Error(`Unknown template variable "${name}" in ${file}`);
+            }
+            return String(value);
+        });
+        const dest = path.join(dstDir, file);
+        mkdirp.sync(path.dirname(dest));
+        fs.writeFileSync(dest, text);
+        console.log(`Template rendered: ${file}`);
+        report.templates.push(file);
+    });
+}
+
+/**
+ * Returns paths of all files in directory (recursively)
+ * relative to it.
+ *
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function listFiles(dir) {
+    return fs.readdirSync(dir).reduce((files, name) => {
+        const stats = fs.statSync(path.join(dir, name));
+        if (stats.isDirectory()) {
+            return files.concat(listFiles(path.join(dir, name)).map(f => path.join(name, f)));
+        }
+        return files.concat(name);
+    }, []);
+}
+
+/**
+ * Adds item to array if it's not there yet.
+ */
+function addUnique(array, item) {
+    if (array.indexOf(item) < 0) array.push(item);
+}
+
+/**
+ * Adds warnings about replaced files whose upstream versions
+ * changed since the previous report.
+ *
+ * @param {OverrideReport} report
+ * @param {Array<{name: string, report: OverrideReport}>} previous entries of previous report file
+ */
+function checkUpstreamChanges(report, previous) {
+    const hashes = {};
+    previous.forEach(entry => Object.assign(hashes, entry.report.files.replaced));
+    Object.keys(report.files.replaced).forEach(file => {
+        if (hashes[file] && hashes[file] !== report.files.replaced[file]) {
+            const warning = `${file} has changed upstream since previous release, check its override`;
+            console.warn(`Warning: ${warning}`);
+            report.warnings.push(warning);
+        }
+    });
+}
+
+/**
+ * Reads report file saved by builder or "override.js --report".
+ *
+ * @param {string} filename
+ * @returns {Array<{name: string, report: OverrideReport}>}
+ */
+function readReportFile(filename) {
+    try {
+        return JSON.parse(fs.readFileSync(filename, "utf8"));
+    } catch (ex) {
+        throw new Error(`Cannot read override report ${filename}: ${ex.message}`);
+    }
+}
+
+/**
+ * Formats report entries for printing.
+ *
+ * @param {Array<{name: string, report: OverrideReport}>} entries
+ * @returns {string}
+ */
+function formatReport(entries) {
+    const lines = [];
+    entries.forEach(({ name, report }) => {
+        lines.push('', `Overrides from ${name}:`);
+        Object.keys(report.json).forEach(filename => {
+            const { added, changed, unchanged } = report.json[filename];
+            lines.push(`  ${filename}:`);
+            added.forEach(key => lines.push(`    added      ${key}`));
+            changed.forEach(key => lines.push(`    changed    ${key}`));
+            unchanged.forEach(key => lines.push(`    unchanged  ${key}`));
+        });
+        report.patched.forEach(file => lines.push(`  patched    ${file}`));
+        report.files.added.forEach(file => lines.push(`  added      ${file}`));
+        Object.keys(report.files.replaced).forEach(file => lines.push(`  replaced   ${file}`));
+        report.templates.forEach(file => lines.push(`  rendered   ${file}`));
+        if (lines[lines.length - 1] === `Overrides from ${name}:`) {
+            lines.push('  no changes');
+        }
+        report.warnings.forEach(w => lines.push(`  WARNING: ${w}`));
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Returns value at path (array of keys), or the object itself for empty path.
+ */
+function getAt(obj, keys) {
+    return keys.length ? get(obj, keys) : obj;
+}
+
+/**
+ * Returns SHA-256 hash of file contents in hex.
+ *
+ * @param {string} filename
+ */
+function hashFileSync(filename) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filename)).digest('hex');
+}
+
+/**
+ * Returns format of data file based on its extension.
+ * Unknown extensions are treated as JSON.
+ *
+ * @param {string} filename
+ */
+function getFormat(filename) {
+    switch (path.extname(filename).toLowerCase()) {
+        case '.yml':
+        case '.yaml':
+            return FORMATS.yaml;
+        case '.plist':
+            return FORMATS.plist;
+        default:
+            return FORMATS.json;
+    }
+}
+
+/**
+ * Parses JSON Pointer (RFC 6901) into array of keys.
+ *
+ * "/build/mac/target" -> ["build", "mac", "target"]
+ * "" -> [] (the whole document)
+ *
+ * @param {string} pointer
+ * @returns {string[]}
+ */
+function parsePointer(pointer) {
+    if (pointer === "" || pointer === undefined) return [];
+    if (typeof pointer !== 'string' || pointer[0] !== '/') {
+        throw new Error(`path must be empty or start with "/": ${pointer}`);
+    }
+    return pointer.substring(1).split('/')
+        .map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
 }
 
+/**
+ * Applies override operation to data and returns the result
+ * (which is a new value if the whole document was replaced).
+ *
+ * Operations:
+ *
+ *   { "op": "merge", "path": "/build", "value": {...} }    - merge with lodash.merge
+ *   { "op": "add", "path": "/build/appId", "value": ... }  - set value; in arrays, insert
+ *                                                            before index, "-" as the last
+ *                                                            key appends
+ *   { "op": "replace", "path": "/build/files", "value": [...] }
+ *                                                          - replace existing value
+ *   { "op": "remove", "path": "/build/mac" }               - delete existing key
+ *   { "op": "append", "path": "/build/files", "value": [...] }
+ *                                                          - append items to array
+ *
+ * "replace" and "remove" fail if the path doesn't exist, so that overrides
+ * don't silently stop working when upstream renames something.
+ *
+ * @param {any} data
+ * @param {{op: string, path: string, value?: any}} operation
+ */
+function applyOperation(data, operation) {
+    const keys = parsePointer(operation.path);
+    const value = cloneDeep(operation.value);
+    const exists = keys.length === 0 || has(data, keys);
+    const parentKeys = keys.slice(0, -1);
+    const parent = parentKeys.length ? get(data, parentKeys) : data;
+    const last = keys[keys.length - 1];
+
+    switch (operation.op) {
+        case 'merge':
+            if (!isPlainObject(value)) throw new Error('merge value must be an object');
+            if (keys.length === 0) return merge(data, value);
+            set(data, keys, merge(exists ? get(data, keys) : {}, value));
+            return data;
+        case 'add':
+            if (keys.length === 0) return value;
+            if (Array.isArray(parent)) {
+                if (last === '-') {
+                    parent.push(value);
+                } else if (/^(0|[1-9]\d*)$/.test(last) && Number(last) <= parent.length) {
+                    parent.splice(Number(last), 0, value);
+                } else {
+                    throw new Error(`index ${last} is out of array bounds in ${operation.path}`);
+                }
+            } else if (last === '-') {
+                throw new Error(`"-" in ${operation.path} is only allowed for arrays`);
+            } else {
+                set(data, keys, value);
+            }
+            return data;
+        case 'replace':
+            if (!exists) throw new Error(`path ${operation.path} doesn't exist`);
+            if (keys.length === 0) return value;
+            set(data, keys, value);
+            return data;
+        case 'remove':
+            if (!exists || keys.length === 0) throw new Error(`path ${operation.path} doesn't exist`);
+            if (Array.isArray(parent)) {
+                parent.splice(Number(last), 1);
+            } else {
+                unset(data, keys);
+            }
+            return data;
+        case 'append': {
+            const items = Array.isArray(value) ? value : [value];
+            const array = keys.length ? get(data, keys) : data;
+            if (array === undefined) {
+                set(data, keys, items);
+            } else if (Array.isArray(array)) {
+                array.push(...items);
+            } else {
+                throw new Error(`path ${operation.path} is not an array`);
+            }
+            return data;
+        }
+        default:
+            throw new Error(`unknown operation "${operation.op}"`);
+    }
+}
+
+/**
+ * Returns paths (as arrays of keys) that may be changed by operation.
+ *
+ * @param {{op: string, path: string, value?: any}} operation
+ * @returns {string[][]}
+ */
+function getChangedPaths(operation) {
+    const keys = parsePointer(operation.path);
+    if (operation.op === 'merge') return getLeafPaths(operation.value, keys);
+    if (operation.op === 'add' && keys[keys.length - 1] === '-') return [keys.slice(0, -1)];
+    return [keys];
+}
+
+/**
+ * Returns paths (as arrays of keys) to all leaf values of object.
+ * Arrays are considered leaf values.
+ *
+ * @param {object} obj
+ * @param {string[]} [prefix]
+ * @returns {string[][]}
+ */
+function getLeafPaths(obj, prefix = []) {
+    return Object.keys(obj).reduce((paths, key) => {
+        const p = prefix.concat(key);
+        return paths.concat(isPlainObject(obj[key]) ? getLeafPaths(obj[key], p) : [p]);
+    }, []);
+}
+
+/**
+ * @typedef {object} OverrideReport
+ * @property {Object<string, {added: string[], changed: string[], unchanged: string[]}>} json
+ * @property {string[]} patched
+ * @property {{added: string[], replaced: Object<string, string>}} files
+ * @property {string[]} templates
+ * @property {string[]} warnings
+ */
+
 module.exports = {
-    override
+    REPOSITORY_LAYOUT,
+    override,
+    checkUpstreamChanges,
+    readReportFile,
+    formatReport
 };
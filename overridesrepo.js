@@ -0,0 +1,355 @@
+// @ts-check
+/**
+ * Overrides repositories: where overrides (see override.js) come from.
+ *
+ * Overrides are given as "<location>[#<ref>]" specs, where location is:
+ *
+ *   ORGANIZATION/REPO         - GitHub repository, cloned over SSH;
+ *   https://host/path.git     - git repository over HTTPS, authenticated with
+ *                               token from OVERRIDES_TOKEN environment variable
+ *                               (or GH_TOKEN for github.com);
+ *   file://, ssh://, git@...  - any other git URL;
+ *   /path, ./path, ~/path     - local directory.
+ *
+ * and ref is a branch, tag or commit SHA ("master" if not given).
+ *
+ * Local directories without ref are copied as is, including uncommitted
+ * changes; local git checkouts with ref are cloned like other repositories.
+ *
+ * Overrides can extend other overrides, which are applied before them,
+ * by listing their specs in "overrides.json" file in the root:
+ *
+ *   { "extends": ["PeerioTechnologies/whitelabel-base#v2.0.0"] }
+ *
+ * Relative local paths there are relative to the directory of the
+ * extending overrides (if it's local).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const copy = require('recursive-copy');
+const rimraf = require('rimraf');
+const { fetchTagsOrNone } = require('./github');
+const { makeTempDir, execGit } = require('./helpers');
+const { parseTagNames } = require('./sources');
+const { collectGitChanges } = require('./releasenotes');
+
+/**
+ * @typedef {object} OverridesSpec
+ * @property {string} spec original spec
+ * @property {string} location spec without ref (absolute path for local directories)
+ * @property {'github'|'git'|'local'} kind
+ * @property {string} url git URL or local directory
+ * @property {string|undefined} ref branch, tag or commit SHA
+ * @property {string|null} github ORGANIZATION/REPO if the repository is on GitHub
+ */
+
+/* File in overrides root that declares overrides it extends */
+const MANIFEST_FILE = 'overrides.json';
+
+/* Branch of repositories cloned without ref */
+const DEFAULT_BRANCH = 'master';
+
+/* Environment variable that passes token to git credential helper */
+const TOKEN_VARIABLE = 'PEERIO_OVERRIDES_GIT_TOKEN';
+
+/* Credential helper that answers with the token, replacing configured helpers */
+const CREDENTIAL_HELPER = `!f() { echo username=x-access-token; echo "password=$${TOKEN_VARIABLE}"; }; f`;
+
+/**
+ * Parses overrides spec.
+ *
+ * @param {string} spec
+ * @param {string} [baseDir] directory to resolve relative local paths against
+ *                           (current directory by default)
+ * @returns {OverridesSpec}
+ */
+function parseOverridesSpec(spec, baseDir) {
+    if (typeof spec !== 'string' || !spec.trim()) {
+        throw new Error('Overrides spec must be a non-empty string');
+    }
+    const i = spec.lastIndexOf('#');
+    const location = i < 0 ? spec : spec.substring(0, i);
+    const ref = i < 0 ? undefined : spec.substring(i + 1);
+    if (ref === '') {
+        throw new Error(`Empty ref after "#" in overrides spec ${spec}`);
+    }
+
+    if (/^(\/|\.\.?([/\\]|$)|~[/\\])/.test(location) || isDirectory(path.resolve(baseDir || '', location))) {
+        const dir = path.resolve(baseDir || '', location.replace(/^~(?=[/\\])/, os.homedir()));
+        if (!isDirectory(dir)) {
+            throw new Error(`Overrides directory ${dir} doesn't exist`);
+        }
+        return { spec, location: dir, kind: 'local', url: dir, ref, github: null };
+    }
+    if (/^[\w.-]+\/[\w.-]+$/.test(location)) {
+        return { spec, location, kind: 'github', url: `git@github.com:${location}.git`, ref, github: location };
+    }
+    if (/^(https?|file|ssh|git):\/\//.test(location) || /^[\w.-]+@[\w.-]+:/.test(location)) {
+        const gh = /^(?:https:\/\/|ssh:\/\/git@|git@)github\.com[/:]([\w.-]+\/[\w.-]+?)(?:\.git)?\/?$/.exec(location);
+        return { spec, location, kind: 'git', url: location, ref, github: gh ? gh[1] : null };
+    }
+    throw new Error(
+        `Cannot parse overrides spec ${spec}: expected ORGANIZATION/REPO, ` +
+        'git URL or local directory, optionally followed by #ref'
+    );
+}
+
+/**
+ * Returns human-readable description of overrides spec.
+ *
+ * @param {OverridesSpec} s
+ */
+function describeOverrides(s) {
+    const where = s.kind === 'local' && !s.ref ? `local directory ${s.url}` : s.url;
+    return s.ref ? `${where}#${s.ref}` : where;
+}
+
+/**
+ * Returns true if overrides are copied from a local working tree,
+ * which can't be tagged.
+ *
+ * @param {OverridesSpec} s
+ */
+function isWorkingTree(s) {
+    return s.kind === 'local' && !s.ref;
+}
+
+/**
+ * Runs git with authentication options for the overrides repository.
+ * The token is passed in environment, so that it's not visible in
+ * the process list or in errors.
+ *
+ * @param {OverridesSpec} s
+ * @param {string[]} args git arguments
+ * @param {string} cwd working directory
+ * @returns {Promise<string>} standard output
+ */
+function runGit(s, args, cwd) {
+    const token = getToken(s);
+    if (!token) {
+        return execGit(args, cwd, { where: describeOverrides(s) });
+    }
+    const auth = ['-c', 'credential.helper=', '-c', `credential.helper=${CREDENTIAL_HELPER}`];
+    return execGit(auth.concat(args), cwd, { env: { [TOKEN_VARIABLE]: token }, where: describeOverrides(s) });
+}
+
+/**
+ * Returns token for HTTPS repositories, if any.
+ *
+ * @param {OverridesSpec} s
+ */
+function getToken(s) {
+    if (!/^https?:\/\//.test(s.url)) return null;
+    return process.env.OVERRIDES_TOKEN || (s.github ? process.env.GH_TOKEN : null) || null;
+}
+
+/**
+ * Puts overrides into destDir: clones repository and checks out ref,
+ * or copies local working tree.
+ *
+ * @param {OverridesSpec} s
+ * @param {string} destDir empty directory
+ * @returns {Promise<string>} destDir
+ */
+async function fetchOverrides(s, destDir) {
+    if (isWorkingTree(s)) {
+        await copy(s.url, destDir, {
+            dot: true,
+            overwrite: true,
+            filter: p => !/^(\.git|node_modules)([\\/]|$)/.test(p)
+        });
+        return destDir;
+    }
+    if (s.ref && /^[0-9a-f]{7,40}$/i.test(s.ref)) {
+        // Pinned commit: shallow clone can't check it out.
+        await runGit(s, ['clone', '--quiet', s.url, destDir], destDir);
+        await runGit(s, ['checkout', '--quiet', s.ref], destDir);
+    } else {
+        const branch = s.ref || DEFAULT_BRANCH;
+        await runGit(s, ['clone', '--quiet', '--depth=1', `--branch=${branch}`, s.url, destDir], destDir);
+    }
+    return destDir;
+}
+
+/**
+ * Returns tags of overrides repository, empty if it has none.
+ * Fails if tags can't be listed (e.g. on network failure).
+ *
+ * @param {OverridesSpec} s
+ * @returns {Promise<string[]>}
+ */
+async function getOverridesTags(s) {
+    if (s.kind === 'github') {
+        const [owner, repo] = s.github.split('/');
+        return fetchTagsOrNone(owner, repo);
+    }
+    const out = await runGit(s, ['ls-remote', '--tags', s.url], process.cwd());
+    return parseTagNames(out);
+}
+
+/**
+ * Returns true if the tag is pushed to overrides repository.
+ *
+ * @param {OverridesSpec} s
+ * @param {string} tag
+ * @returns {Promise<boolean>}
+ */
+async function hasRemoteTag(s, tag) {
+    const out = await runGit(s, ['ls-remote', '--tags', s.url, `refs/tags/${tag}`], process.cwd());
+    return out.trim() !== '';
+}
+
+/**
+ * Deletes the tag from overrides repository.
+ *
+ * @param {OverridesSpec} s
+ * @param {string} tag
+ */
+async function deleteRemoteTag(s, tag) {
+    // Pushing needs a repository, even an empty one.
+    const dir = await makeTempDir();
+    try {
+        await runGit(s, ['init', '--quiet'], dir);
+        await runGit(s, ['push', '--quiet', s.url, '--delete', `refs/tags/${tag}`], dir);
+    } finally {
+        rimraf.sync(dir);
+    }
+}
+
+/**
+ * Returns commit SHA of fetched overrides. For local working trees,
+ * it's the SHA of the local checkout with "-dirty" suffix if there are
+ * uncommitted changes, or null if it's not a git checkout.
+ *
+ * @param {OverridesSpec} s
+ * @param {string} dir directory with fetched overrides
+ * @returns {Promise<string|null>}
+ */
+async function getOverridesCommit(s, dir) {
+    if (!isWorkingTree(s)) {
+        return (await runGit(s, ['rev-parse', 'HEAD'], dir)).trim();
+    }
+    let sha;
+    try {
+        sha = (await runGit(s, ['rev-parse', 'HEAD'], s.url)).trim();
+    } catch (ex) {
+        return null;
+    }
+    const status = await runGit(s, ['status', '--porcelain'], s.url);
+    return status.trim() ? `${sha}-dirty` : sha;
+}
+
+/**
+ * Returns previous release tag of overrides and commits since it
+ * (see releasenotes.js). Shallow clones are deepened first.
+ *
+ * @param {OverridesSpec} s
+ * @param {string} dir directory with fetched overrides
+ * @param {string|undefined} current version being released, if it's tagged
+ *                                   in overrides, otherwise ref
+ * @returns {Promise<{from: string|null, commits: Array<object>}>}
+ */
+async function getOverridesChanges(s, dir, current) {
+    const cwd = isWorkingTree(s) ? s.url : dir;
+    if (fs.existsSync(path.join(cwd, '.git', 'shallow'))) {
+        await runGit(s, ['fetch', '--quiet', '--unshallow', '--tags'], cwd);
+    }
+    return collectGitChanges(args => runGit(s, args, cwd), current);
+}
+
+/**
+ * Returns specs of overrides that the fetched overrides extend.
+ *
+ * @param {OverridesSpec} s
+ * @param {string} dir directory with fetched overrides
+ * @returns {OverridesSpec[]}
+ */
+function readExtends(s, dir) {
+    const filename = path.join(dir, MANIFEST_FILE);
+    if (!fs.existsSync(filename)) return [];
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(filename, 'utf8'));
+    } catch (ex) {
+        throw new Error(`Cannot read ${MANIFEST_FILE} of ${describeOverrides(s)}: ${ex.message}`);
+    }
+    const parents = manifest.extends || [];
+    if (!Array.isArray(parents)) {
+        throw new Error(`"extends" in ${MANIFEST_FILE} of ${describeOverrides(s)} must be an array of specs`);
+    }
+    return parents.map(spec => parseOverridesSpec(spec, s.kind === 'local' ? s.url : undefined));
+}
+
+/**
+ * Fetches overrides with the overrides they extend (unless followExtends
+ * is false) into new temporary directories.
+ *
+ * Resolves to layers in the order they should be applied: every overrides
+ * come after the ones they extend, and are included only once.
+ *
+ * @param {OverridesSpec[]} specs
+ * @param {boolean} followExtends
+ * @returns {Promise<Array<{spec: OverridesSpec, dir: string, commit: string|null}>>}
+ */
+async function fetchOverridesChain(specs, followExtends) {
+    const layers = [];
+    const key = s => `${s.url}#${s.ref || ''}`;
+    const visit = async (s, chain) => {
+        if (chain.indexOf(key(s)) >= 0) {
+            throw new Error(`Overrides extend each other: ${chain.concat(key(s)).join(' -> ')}`);
+        }
+        if (layers.some(layer => key(layer.spec) === key(s))) return;
+        const dir = await makeTempDir();
+        const layer = { spec: s, dir, commit: null };
+        try {
+            await fetchOverrides(s, dir);
+            layer.commit = await getOverridesCommit(s, dir);
+            const parents = followExtends ? readExtends(s, dir) : [];
+            for (let i = 0; i < parents.length; i++) {
+                await visit(parents[i], chain.concat(key(s)));
+            }
+        } catch (ex) {
+            rimraf.sync(dir);
+            throw ex;
+        }
+        layers.push(layer);
+    };
+    try {
+        for (let i = 0; i < specs.length; i++) {
+            await visit(specs[i], []);
+        }
+    } catch (ex) {
+        layers.forEach(layer => rimraf.sync(layer.dir));
+        throw ex;
+    }
+    return layers;
+}
+
+/**
+ * Returns true if path is an existing directory.
+ *
+ * @param {string} p
+ */
+function isDirectory(p) {
+    try {
+        return fs.statSync(p).isDirectory();
+    } catch (ex) {
+        return false;
+    }
+}
+
+module.exports = {
+    parseOverridesSpec,
+    describeOverrides,
+    isWorkingTree,
+    runGit,
+    fetchOverrides,
+    fetchOverridesChain,
+    getOverridesCommit,
+    getOverridesChanges,
+    getOverridesTags,
+    hasRemoteTag,
+    deleteRemoteTag
+};
@@ -0,0 +1,84 @@
+// @ts-check
+/**
+ * Build provenance: machine-readable record of what went into a release,
+ * published with it, so that a binary can be tied back to its inputs.
+ *
+ * {
+ *   "version": "v3.1.0",
+ *   "source": { "repository": "...", "location": null, "ref": "v3.1.0", "commit": "<sha>" },
+ *   "overrides": [{ "spec": "...", "location": "...", "commit": "<sha>" }],
+ *   "tools": { "node": "v10.13.0", "npm": "6.4.1", "electronBuilder": "20.28.4" },
+ *   "host": { "platform": "darwin", "arch": "x64" },
+ *   "flags": { "prerelease": false, "platforms": ["mac"], "nosign": false, ... },
+ *   "startedAt": "2018-11-20T10:00:00.000Z",
+ *   "finishedAt": "2018-11-20T10:40:00.000Z",
+ *   "artifacts": [{ "name": "Peerio-3.1.0.dmg", "size": 123, "sha256": "..." }]
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execp, hashFile } = require('./helpers');
+
+/* Provenance file name in build results */
+const PROVENANCE_FILE = 'provenance.json';
+
+/**
+ * Returns versions of tools that built the project, null for unknown.
+ *
+ * @param {string} projectDir project directory with installed dependencies
+ * @returns {Promise<{node: string, npm: string|null, electronBuilder: string|null}>}
+ */
+async function getToolVersions(projectDir) {
+    let npm = null;
+    try {
+        npm = (await execp('npm --version', projectDir, false)).trim();
+    } catch (ex) {
+        // Reported as unknown.
+    }
+    let electronBuilder = null;
+    try {
+        const filename = path.join(projectDir, 'node_modules', 'electron-builder', 'package.json');
+        electronBuilder = JSON.parse(fs.readFileSync(filename, 'utf8')).version;
+    } catch (ex) {
+        // Reported as unknown.
+    }
+    return { node: process.version, npm, electronBuilder };
+}
+
+/**
+ * Returns size and SHA-256 of files.
+ *
+ * @param {string} dir
+ * @param {string[]} names file names in dir
+ * @returns {Promise<Array<{name: string, size: number, sha256: string}>>}
+ */
+async function describeArtifacts(dir, names) {
+    const artifacts = [];
+    for (let i = 0; i < names.length; i++) {
+        const filename = path.join(dir, names[i]);
+        artifacts.push({
+            name: names[i],
+            size: fs.statSync(filename).size,
+            sha256: await hashFile(filename)
+        });
+    }
+    return artifacts;
+}
+
+/**
+ * Writes provenance file.
+ *
+ * @param {string} filename
+ * @param {object} data provenance fields (see above)
+ */
+function writeProvenance(filename, data) {
+    fs.writeFileSync(filename, JSON.stringify(data, null, 2));
+}
+
+module.exports = {
+    PROVENANCE_FILE,
+    getToolVersions,
+    describeArtifacts,
+    writeProvenance
+};
@@ -0,0 +1,544 @@
+// @ts-check
+/**
+ * Publisher backends: where release files and update manifests go.
+ *
+ * Every publisher has the same interface:
+ *
+ *   describe()                           - human-readable description
+ *   addManifestFile(m, platform, file, version)
+ *                                        - adds file to update manifest with
+ *                                          the URL it will be downloaded from
+ *   prepareRelease(version, prerelease, notes)
+ *                                        - creates release if it doesn't exist
+ *   getFileSize(name, version)           - size of published file or null
+ *                                          if it's not (completely) published
+ *   uploadFile(file, contentType, version)
+ *                                        - uploads a single file, replacing
+ *                                          existing one
+ *   publishManifest(file, version, latest)
+ *                                        - uploads update manifest
+ *   deleteFiles(nameRegexp, version)     - deletes matching files from release,
+ *                                          resolves to deleted names
+ *   downloadFile(name, version, dest)    - downloads published file
+ *   listReleases()                       - published versions, with flag whether
+ *                                          they are yanked
+ *   yankRelease(version, remove, note)   - marks release as yanked with the note,
+ *                                          or deletes it if remove is true
+ *   promoteRelease(version)              - publishes draft or pre-release
+ *                                          as a stable release
+ *
+ * All operations are idempotent, so publishing can be resumed after failure.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const mkdirp = require('mkdirp');
+const rimraf = require('rimraf');
+const escapeRegExp = require('lodash/escapeRegExp');
+const { downloadFile, makeTempDir } = require('./helpers');
+const {
+    getReleaseByTag, fetchReleases, createRelease, setReleaseBody, updateRelease, deleteRelease,
+    uploadReleaseAsset, deleteReleaseAssets, downloadReleaseAsset
+} = require('./github');
+
+const CONTENT_TYPES = {
+    '.txt': 'text/plain',
+    '.md': 'text/markdown',
+    '.asc': 'text/plain',
+    '.log': 'text/plain',
+    '.jsonl': 'application/x-ndjson',
+    '.yml': 'text/yaml',
+    '.json': 'application/json'
+};
+
+/* Name of GitHub releases marked as yanked */
+const YANKED_NAME = / \(yanked\)$/;
+
+/* Marker file of yanked releases in storage publishers */
+const YANKED_FILE = 'YANKED.txt';
+
+/**
+ * Returns content type for file name based on its extension.
+ *
+ * @param {string} filename
+ */
+function getContentType(filename) {
+    return CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Publishes to GitHub releases.
+ */
+class GitHubPublisher {
+    /**
+     * @param {string} owner project owner ("org" from github.com/org/repo)
+     * @param {string} repo project repository ("repo" from github.com/org/repo)
+     */
+    constructor(owner, repo) {
+        this.owner = owner;
+        this.repo = repo;
+    }
+
+    describe() {
+        return `GitHub releases of ${this.owner}/${this.repo}`;
+    }
+
+    addManifestFile(m, platform, filePath, version) {
+        m.addGitHubFile(platform, filePath, `${this.owner}/${this.repo}`);
+    }
+
+    /**
+     * Creates a draft (or pre-release) for the version with release notes
+     * as description, unless there's already a release with this tag.
+     * Existing release gets release notes if it has no description.
+     */
+    async prepareRelease(version, prerelease, notes) {
+        const release = await getReleaseByTag(this.owner, this.repo, version);
+        if (release) {
+            console.log(`Using existing release (tag ${version}, id ${release.id})`);
+            if (notes && !release.body) {
+                await setReleaseBody(this.owner, this.repo, release, notes);
+            }
+            return;
+        }
+        const created = await createRelease(this.owner, this.repo, version, prerelease, notes);
+        console.log(`Created release (tag ${version}, id ${created.id})`);
+    }
+
+    async getFileSize(name, version) {
+        const release = await getReleaseByTag(this.owner, this.repo, version);
+        if (!release) return null;
+        // Interrupted uploads leave assets in "new" state.
+        const asset = release.assets.find(a => a.name === name && a.state === 'uploaded');
+        return asset ? asset.size : null;
+    }
+
+    async uploadFile(filePath, contentType, version) {
+        // Remove leftovers of interrupted uploads, otherwise
+        // GitHub refuses to upload an asset with the same name.
+        const name = path.basename(filePath);
+        await this.deleteFiles(new RegExp(`^${escapeRegExp(name)}$`), version);
+        return uploadReleaseAsset(filePath, contentType, this.owner, this.repo, version);
+    }
+
+    publishManifest(filePath, version) {
+        // GitHub serves the manifest of the latest release by itself.
+        return this.uploadFile(filePath, 'text/plain', version);
+    }
+
+    deleteFiles(nameRegexp, version) {
+        return deleteReleaseAssets(nameRegexp, this.owner, this.repo, version);
+    }
+
+    downloadFile(name, version, dest) {
+        return downloadReleaseAsset(this.owner, this.repo, version, name, dest);
+    }
+
+    async listReleases() {
+        const releases = await fetchReleases(this.owner, this.repo);
+        // Drafts are not published.
+        return releases
+            .filter(r => !r.draft)
+            .map(r => ({ version: r.tag_name, yanked: YANKED_NAME.test(r.name || '') }));
+    }
+
+    /**
+     * Yanked release is renamed and marked as pre-release,
+     * so that GitHub doesn't serve it as the latest one.
+     */
+    async yankRelease(version, remove, note) {
+        const release = await getReleaseByTag(this.owner, this.repo, version);
+        if (!release) {
+            throw new Error(`Release ${version} is not found in ${this.describe()}`);
+        }
+        if (remove) {
+            return deleteRelease(this.owner, this.repo, release);
+        }
+        await updateRelease(this.owner, this.repo, release, {
+            name: `${version} (yanked)`,
+            prerelease: true,
+            body: `**${note}**\n\n${release.body || ''}`
+        });
+    }
+
+    async promoteRelease(version) {
+        const release = await getReleaseByTag(this.owner, this.repo, version);
+        if (!release) {
+            throw new Error(`Release ${version} is not found in ${this.describe()}`);
+        }
+        if (release.draft || release.prerelease) {
+            await updateRelease(this.owner, this.repo, release, { draft: false, prerelease: false });
+        }
+    }
+}
+
+/**
+ * Base class for publishers that store files by key,
+ * laid out as "<version>/<filename>" with the latest
+ * manifest at the root.
+ *
+ * Subclasses implement putFile(key, filePath, contentType),
+ * getFile(key, dest), getStoredSize(key), which resolves to null
+ * if there's no such file, and listVersions().
+ *
+ * Yanked releases have YANKED_FILE with the note.
+ */
+class StoragePublisher {
+    /**
+     * @param {string} baseURL public URL where stored files are served from
+     */
+    constructor(baseURL) {
+        if (!baseURL) {
+            throw new Error(`${this.constructor.name} requires base URL of published files`);
+        }
+        this.baseURL = baseURL.replace(/\/+$/, '');
+    }
+
+    getKey(filename, version) {
+        return version ? `${version}/${filename}` : filename;
+    }
+
+    getFileURL(filename, version) {
+        return `${this.baseURL}/${this.getKey(filename, version)}`;
+    }
+
+    addManifestFile(m, platform, filePath, version) {
+        m.addFile(platform, filePath, this.getFileURL(path.basename(filePath), version));
+    }
+
+    prepareRelease() {
+        // Nothing to create, version directory appears on first upload,
+        // release notes are uploaded with other files.
+        return Promise.resolve();
+    }
+
+    uploadFile(filePath, contentType, version) {
+        const key = this.getKey(path.basename(filePath), version);
+        console.log(`Uploading ${key}`);
+        return this.putFile(key, filePath, contentType);
+    }
+
+    /**
+     * Uploads manifest into version directory and, if latest is true,
+     * to the root, where updater clients look for it.
+     */
+    async publishManifest(filePath, version, latest) {
+        await this.uploadFile(filePath, 'text/plain', version);
+        if (latest) {
+            await this.uploadFile(filePath, 'text/plain', null);
+        }
+    }
+
+    getFileSize(name, version) {
+        return this.getStoredSize(this.getKey(name, version));
+    }
+
+    deleteFiles() {
+        // We never upload files that should be deleted.
+        return Promise.resolve([]);
+    }
+
+    downloadFile(name, version, dest) {
+        return this.getFile(this.getKey(name, version), dest);
+    }
+
+    async listReleases() {
+        const versions = await this.listVersions();
+        const releases = [];
+        for (let i = 0; i < versions.length; i++) {
+            const yanked = await this.getStoredSize(this.getKey(YANKED_FILE, versions[i])) !== null;
+            releases.push({ version: versions[i], yanked });
+        }
+        return releases;
+    }
+
+    promoteRelease() {
+        // Releases are stable once their manifests are at the root.
+        return Promise.resolve();
+    }
+
+    async yankRelease(version, remove, note) {
+        if (remove) {
+            throw new Error(`Releases can't be deleted from ${this.describe()}, only marked as yanked`);
+        }
+        const dir = await makeTempDir();
+        try {
+            const filePath = path.join(dir, YANKED_FILE);
+            fs.writeFileSync(filePath, `${note}\n`);
+            await this.uploadFile(filePath, 'text/plain', version);
+        } finally {
+            rimraf.sync(dir);
+        }
+    }
+
+    putFile(key, filePath, contentType) {
+        return Promise.reject(new Error('Not implemented'));
+    }
+
+    getFile(key, dest) {
+        return Promise.reject(new Error('Not implemented'));
+    }
+
+    getStoredSize(key) {
+        return Promise.reject(new Error('Not implemented'));
+    }
+
+    listVersions() {
+        return Promise.reject(new Error('Not implemented'));
+    }
+}
+
+/**
+ * Copies files into a local directory, e.g. served as a static site.
+ */
+class DirectoryPublisher extends StoragePublisher {
+    /**
+     * @param {string} dir destination directory
+     * @param {string} baseURL URL where the directory is served
+     */
+    constructor(dir, baseURL) {
+        super(baseURL);
+        this.dir = path.resolve(dir);
+    }
+
+    describe() {
+        return `directory ${this.dir} (served at ${this.baseURL})`;
+    }
+
+    putFile(key, filePath) {
+        const dest = path.join(this.dir, key);
+        mkdirp.sync(path.dirname(dest));
+        return new Promise((fulfill, reject) => {
+            fs.copyFile(filePath, dest, err => {
+                if (err) return reject(err);
+                fulfill();
+            });
+        });
+    }
+
+    getFile(key, dest) {
+        mkdirp.sync(path.dirname(dest));
+        return new Promise((fulfill, reject) => {
+            fs.copyFile(path.join(this.dir, key), dest, err => {
+                if (err) return reject(err);
+                fulfill(dest);
+            });
+        });
+    }
+
+    getStoredSize(key) {
+        return new Promise(fulfill => {
+            fs.stat(path.join(this.dir, key), (err, stats) => {
+                fulfill(err ? null : stats.size);
+            });
+        });
+    }
+
+    listVersions() {
+        if (!fs.existsSync(this.dir)) return Promise.resolve([]);
+        return Promise.resolve(fs.readdirSync(this.dir)
+            .filter(name => fs.statSync(path.join(this.dir, name)).isDirectory()));
+    }
+}
+
+/**
+ * Uploads files into S3 or S3-compatible storage.
+ *
+ * Credentials are taken from AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY
+ * environment variables (or anywhere else aws-sdk looks for them).
+ */
+class S3Publisher extends StoragePublisher {
+    /**
+     * @param {string} bucket bucket name
+     * @param {string} prefix key prefix inside bucket (may be empty)
+     * @param {string} baseURL URL where the bucket prefix is served (e.g. CDN)
+     * @param {string} [endpoint] S3-compatible service endpoint (AWS by default)
+     */
+    constructor(bucket, prefix, baseURL, endpoint) {
+        super(baseURL);
+        const S3 = require('aws-sdk/clients/s3');
+        this.bucket = bucket;
+        this.prefix = prefix.replace(/^\/+|\/+$/g, '');
+        this.s3 = new S3({
+            endpoint,
+            s3ForcePathStyle: !!endpoint,
+            signatureVersion: 'v4'
+        });
+    }
+
+    describe() {
+        return `s3://${this.bucket}/${this.prefix} (served at ${this.baseURL})`;
+    }
+
+    putFile(key, filePath, contentType) {
+        return this.s3.putObject({
+            Bucket: this.bucket,
+            Key: this.prefix ? `${this.prefix}/${key}` : key,
+            Body: fs.createReadStream(filePath),
+            ContentLength: fs.statSync(filePath).size,
+            ContentType: contentType
+        }).promise();
+    }
+
+    getFile(key, dest) {
+        mkdirp.sync(path.dirname(dest));
+        return new Promise((fulfill, reject) => {
+            this.s3.getObject({
+                Bucket: this.bucket,
+                Key: this.prefix ? `${this.prefix}/${key}` : key
+            }).createReadStream()
+                .on('error', reject)
+                .pipe(fs.createWriteStream(dest))
+                .on('error', reject)
+                .on('finish', () => fulfill(dest));
+        });
+    }
+
+    getStoredSize(key) {
+        return this.s3.headObject({
+            Bucket: this.bucket,
+            Key: this.prefix ? `${this.prefix}/${key}` : key
+        }).promise()
+            .then(res => res.ContentLength)
+            .catch(err => {
+                if (err.code === 'NotFound') return null;
+                throw err;
+            });
+    }
+
+    async listVersions() {
+        const prefix = this.prefix ? `${this.prefix}/` : '';
+        const versions = [];
+        let token;
+        do {
+            const res = await this.s3.listObjectsV2({
+                Bucket: this.bucket,
+                Prefix: prefix,
+                Delimiter: '/',
+                ContinuationToken: token
+            }).promise();
+            (res.CommonPrefixes || []).forEach(p => {
+                versions.push(p.Prefix.substring(prefix.length).replace(/\/$/, ''));
+            });
+            token = res.IsTruncated ? res.NextContinuationToken : undefined;
+        } while (token);
+        return versions;
+    }
+}
+
+/**
+ * Uploads files with HTTP PUT requests to "<url>/<version>/<filename>".
+ *
+ * If PUBLISH_HTTP_TOKEN environment variable is set, it's sent
+ * as a bearer token.
+ */
+class HttpPublisher extends StoragePublisher {
+    /**
+     * @param {string} url upload URL
+     * @param {string} [baseURL] URL where files are served (upload URL by default)
+     */
+    constructor(url, baseURL) {
+        super(baseURL || url);
+        this.url = url.replace(/\/+$/, '');
+    }
+
+    describe() {
+        return `HTTP server ${this.url} (served at ${this.baseURL})`;
+    }
+
+    putFile(key, filePath, contentType) {
+        return new Promise((fulfill, reject) => {
+            const url = new URL(`${this.url}/${key}`);
+            const headers = {
+                'content-type': contentType,
+                'content-length': fs.statSync(filePath).size
+            };
+            if (process.env.PUBLISH_HTTP_TOKEN) {
+                headers.authorization = `Bearer ${process.env.PUBLISH_HTTP_TOKEN}`;
+            }
+            const transport = url.protocol === 'https:' ? https : http;
+            const req = transport.request(url, { method: 'PUT', headers }, res => {
+                res.resume();
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    fulfill();
+                } else {
+                    reject(new Error(`Upload of ${key} failed: HTTP ${res.statusCode}`));
+                }
+            });
+            req.on('error', reject);
+            fs.createReadStream(filePath).on('error', reject).pipe(req);
+        });
+    }
+
+    /**
+     * Downloads the file from its public URL.
+     */
+    getFile(key, dest) {
+        return downloadFile(`${this.baseURL}/${key}`, dest);
+    }
+
+    /**
+     * Checks the public URL of the file with HEAD request.
+     */
+    getStoredSize(key) {
+        return new Promise((fulfill, reject) => {
+            const url = new URL(`${this.baseURL}/${key}`);
+            const transport = url.protocol === 'https:' ? https : http;
+            const req = transport.request(url, { method: 'HEAD' }, res => {
+                res.resume();
+                if (res.statusCode === 200 && res.headers['content-length']) {
+                    fulfill(Number(res.headers['content-length']));
+                } else {
+                    fulfill(null);
+                }
+            });
+            req.on('error', reject);
+            req.end();
+        });
+    }
+
+    listVersions() {
+        return Promise.reject(new Error(`Releases can't be listed on ${this.describe()}`));
+    }
+}
+
+/**
+ * Creates publisher for the given target:
+ *
+ * - "github" or nothing: GitHub releases of owner/repo;
+ * - "s3://bucket/prefix": S3 or S3-compatible storage;
+ * - "http://..." or "https://...": HTTP server accepting PUT requests;
+ * - anything else: local directory.
+ *
+ * @param {string|undefined} target
+ * @param {object} options
+ * @param {string} options.owner GitHub project owner
+ * @param {string} options.repo GitHub project repository
+ * @param {string} [options.baseURL] public URL of published files
+ * @param {string} [options.endpoint] S3-compatible service endpoint
+ */
+function createPublisher(target, options) {
+    if (!target || target === 'github') {
+        return new GitHubPublisher(options.owner, options.repo);
+    }
+    const s3 = /^s3:\/\/([^/]+)\/?(.*)$/.exec(target);
+    if (s3) {
+        return new S3Publisher(s3[1], s3[2], options.baseURL, options.endpoint);
+    }
+    if (/^https?:\/\//.test(target)) {
+        return new HttpPublisher(target, options.baseURL);
+    }
+    return new DirectoryPublisher(target, options.baseURL);
+}
+
+module.exports = {
+    GitHubPublisher,
+    DirectoryPublisher,
+    S3Publisher,
+    HttpPublisher,
+    createPublisher,
+    getContentType
+};
@@ -0,0 +1,159 @@
+// @ts-check
+/**
+ * Release notes: changes since the previous release, collected from commit
+ * messages of the source and overrides repositories.
+ *
+ * The previous release is the highest version tag lower than the tag being
+ * built (or the highest version tag, if the build is not from a version tag).
+ * Only first-parent history is listed, so commits of merged pull requests
+ * are represented by pull request titles.
+ */
+
+const semver = require('semver-extra');
+
+/* Release notes file in build results */
+const RELEASE_NOTES_FILE = 'release-notes.md';
+
+/* git log arguments for parseGitLog() */
+const GIT_LOG_ARGS = ['log', '--first-parent', '--format=%H%x1f%s%x1f%b%x1e'];
+
+/**
+ * @typedef {object} Commit
+ * @property {string} sha
+ * @property {string} subject first line of commit message
+ * @property {string} body rest of commit message
+ */
+
+/**
+ * @typedef {object} Changes
+ * @property {string} name repository name
+ * @property {string|null} from previous release tag
+ * @property {Commit[]|null} commits first-parent commits since previous release,
+ *                                   null if they couldn't be collected
+ */
+
+/**
+ * Returns the highest version tag lower than current one, or the highest
+ * version tag if current ref is not a version. Returns null if there's none.
+ *
+ * @param {string[]} tags
+ * @param {string|undefined} current tag, branch or commit being built
+ * @returns {string|null}
+ */
+function findPreviousTag(tags, current) {
+    const versions = tags.filter(t => semver.valid(t) && t !== current);
+    const lower = semver.valid(current)
+        ? versions.filter(t => semver.lt(t, current))
+        : versions;
+    if (lower.length === 0) return null;
+    const max = semver.max(lower.map(t => semver.valid(t)));
+    // Return tag as is ("v" prefix is optional).
+    return lower.find(t => semver.valid(t) === max);
+}
+
+/**
+ * Parses output of git with GIT_LOG_ARGS.
+ *
+ * @param {string} out
+ * @returns {Commit[]}
+ */
+function parseGitLog(out) {
+    return out.split('\x1e')
+        .map(record => record.replace(/^\s+/, ''))
+        .filter(Boolean)
+        .map(record => {
+            const [sha, subject, body] = record.split('\x1f');
+            return { sha, subject, body: (body || '').trim() };
+        });
+}
+
+/**
+ * Collects changes of a git repository since the previous release.
+ *
+ * @param {(args: string[]) => Promise<string>} git runs git in the repository
+ *                                                  with full history and tags
+ * @param {string|undefined} current tag, branch or commit checked out at HEAD
+ * @returns {Promise<{from: string|null, commits: Commit[]}>}
+ */
+async function collectGitChanges(git, current) {
+    const list = async args => (await git(args)).split('\n').map(t => t.trim()).filter(Boolean);
+    if (!semver.valid(current)) {
+        // Branch or commit at a version tag is that version.
+        current = (await list(['tag', '--points-at', 'HEAD'])).find(t => semver.valid(t)) || current;
+    }
+    const from = findPreviousTag(await list(['tag', '--list']), current);
+    if (!from) return { from, commits: [] };
+    return { from, commits: parseGitLog(await git(GIT_LOG_ARGS.concat(`${from}..HEAD`))) };
+}
+
+/**
+ * Returns release notes entry for the commit, grouped as "pulls",
+ * "features", "fixes" or "other", or null for merges of branches.
+ *
+ * @param {Commit} commit
+ * @returns {{group: string, text: string}|null}
+ */
+function describeCommit({ sha, subject, body }) {
+    const merge = /^Merge pull request #(\d+) from (\S+)/.exec(subject);
+    if (merge) {
+        const title = body.split('\n').map(s => s.trim()).find(Boolean) || merge[2];
+        return { group: 'pulls', text: `${title} (#${merge[1]})` };
+    }
+    if (/^Merge (remote-tracking )?branch /.test(subject)) return null;
+    if (/\(#\d+\)$/.test(subject)) {
+        return { group: 'pulls', text: subject };
+    }
+    const text = `${subject} (${sha.substring(0, 7)})`;
+    if (/^feat(\(.*\))?!?:/i.test(subject)) return { group: 'features', text };
+    if (/^fix(\(.*\))?!?:/i.test(subject)) return { group: 'fixes', text };
+    return { group: 'other', text };
+}
+
+/* Release notes sections of entry groups, in order */
+const GROUPS = [
+    ['pulls', 'Pull requests'],
+    ['features', 'Features'],
+    ['fixes', 'Fixes'],
+    ['other', 'Other changes']
+];
+
+/**
+ * Formats release notes in Markdown.
+ *
+ * @param {string} version release version
+ * @param {Changes[]} changes source first, then overrides in the order applied
+ * @returns {string}
+ */
+function formatReleaseNotes(version, changes) {
+    const lines = [`## ${version}`];
+    changes.forEach(({ name, from, commits }) => {
+        lines.push('', `### ${name}${from ? ` (since ${from})` : ''}`, '');
+        if (!commits) {
+            lines.push('_Changes could not be collected._');
+            return;
+        }
+        if (!from) {
+            lines.push('_No previous release tag._');
+            return;
+        }
+        const entries = commits.map(describeCommit).filter(Boolean);
+        if (entries.length === 0) {
+            lines.push('_No changes._');
+            return;
+        }
+        GROUPS.forEach(([group, title]) => {
+            const texts = entries.filter(e => e.group === group).map(e => `- ${e.text}`);
+            if (texts.length === 0) return;
+            if (lines[lines.length - 1] !== '') lines.push('');
+            lines.push(`#### ${title}`, '', ...texts);
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    RELEASE_NOTES_FILE,
+    findPreviousTag,
+    collectGitChanges,
+    formatReleaseNotes
+};
@@ -0,0 +1,283 @@
+// @ts-check
+/**
+ * Signing jobs between build machine and Windows signer.
+ *
+ * Every job has a unique ID. Jobs are passed either through a shared
+ * directory or over HTTP(S).
+ *
+ * Shared directory: build machine puts file to sign into "in" directory as
+ * "<job id>__<name>", then writes "<job id>.job.json":
+ *
+ *   { "jobId": "...", "file": "<job id>__<name>", "sha256": "...", "timeout": 1800000 }
+ *
+ * Signer signs the file, moves it into "out" directory and writes
+ * "<job id>.result.json" there:
+ *
+ *   { "jobId": "...", "file": "<job id>__<name>", "sha256": "<hash of signed file>" }
+ *
+ * or, if signing failed:
+ *
+ *   { "jobId": "...", "error": "...", "output": "<signtool output>" }
+ *
+ * HTTP(S): client sends POST /sign request with unsigned file as body and headers:
+ *
+ *   Authorization: Bearer <token>
+ *   X-Job-Id: <unique job id>
+ *   X-File-Name: <file name>
+ *   X-Content-SHA256: <hex SHA-256 of body>
+ *   X-Timeout: <signing timeout in milliseconds>
+ *
+ * Signer responds with signed file as body and X-Job-Id and
+ * X-Content-SHA256 headers, or, if signing failed, with JSON:
+ *
+ *   { "jobId": "...", "error": "...", "output": "<signtool output>" }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { URL } = require('url');
+const rimraf = require('rimraf');
+const { Queue, makeTempDir, hashFile } = require('./helpers');
+
+/* Signing timeout if not specified in request (30 minutes) */
+const DEFAULT_TIMEOUT = 30 * 60 * 1000;
+
+/* Time allowed for transferring files in addition to signing timeout */
+const TRANSFER_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Generates a new unique job ID.
+ */
+function makeJobId() {
+    return `${Date.now().toString(36)}-${crypto.randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * Returns names of files in shared directory for the job:
+ * file to sign (and signed file), job description and job result.
+ *
+ * @param {string} jobId
+ * @param {string} name original file name
+ */
+function getJobFileNames(jobId, name) {
+    return {
+        file: `${jobId}__${name}`,
+        job: `${jobId}.job.json`,
+        result: `${jobId}.result.json`
+    };
+}
+
+/**
+ * Compares bearer token from authorization header with the expected one
+ * in constant time.
+ *
+ * @param {string|undefined} header authorization header value
+ * @param {string} token expected token
+ */
+function checkToken(header, token) {
+    const given = Buffer.from(String(header || '').replace(/^Bearer /, ''));
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Sends JSON response.
+ */
+function respondJSON(res, status, data) {
+    const body = JSON.stringify(data);
+    res.writeHead(status, {
+        'content-type': 'application/json',
+        'content-length': Buffer.byteLength(body)
+    });
+    res.end(body);
+}
+
+/**
+ * Creates signing server. Signing jobs are performed one at a time.
+ *
+ * Sign function receives file path and timeout, signs file in place and
+ * returns a promise, which is rejected on failure with error that may have
+ * "output" property with signing tool output.
+ *
+ * @param {object} options
+ * @param {string} options.token authentication token
+ * @param {function(string, number): Promise<any>} options.sign sign function
+ * @param {object} [options.tls] TLS options ({ cert, key }) to serve HTTPS
+ * @returns {http.Server | https.Server}
+ */
+function createSignServer({ token, sign, tls }) {
+    const queue = new Queue();
+
+    const handler = (req, res) => {
+        if (req.method !== 'POST' || req.url !== '/sign') {
+            return respondJSON(res, 404, { error: 'Not found' });
+        }
+        if (!checkToken(req.headers.authorization, token)) {
+            return respondJSON(res, 401, { error: 'Unauthorized' });
+        }
+        const jobId = String(req.headers['x-job-id'] || '');
+        const expectedHash = String(req.headers['x-content-sha256'] || '');
+        const timeout = Number(req.headers['x-timeout']) || DEFAULT_TIMEOUT;
+        const name = path.basename(String(req.headers['x-file-name'] || 'file.exe'));
+        if (!/^[\w-]{1,64}$/.test(jobId) || !/^[0-9a-f]{64}$/.test(expectedHash)) {
+            return respondJSON(res, 400, { jobId, error: 'Missing or invalid job ID or content hash' });
+        }
+
+        let jobDir;
+        let failed = false;
+        const fail = (status, error, output) => {
+            if (failed) return;
+            failed = true;
+            console.error(`ERROR job ${jobId} (${name}): ${error}`);
+            if (jobDir) rimraf.sync(jobDir);
+            // Status can't be sent after the signed file started to be sent.
+            if (res.headersSent) return res.destroy();
+            respondJSON(res, status, { jobId, error, output });
+        };
+        req.on('error', err => fail(400, `Cannot receive file: ${err.message}`));
+
+        makeTempDir().then(dir => {
+            if (failed) return rimraf.sync(dir);
+            jobDir = dir;
+            const filepath = path.join(jobDir, name);
+            const hash = crypto.createHash('sha256');
+            req.on('data', data => hash.update(data));
+            req.pipe(fs.createWriteStream(filepath))
+                .on('error', err => fail(500, `Cannot write file: ${err.message}`))
+                .on('finish', () => {
+                    if (hash.digest('hex') !== expectedHash) {
+                        return fail(400, 'Content hash mismatch');
+                    }
+                    console.log(`Job ${jobId}: signing ${name}...`);
+                    queue.add(() => sign(filepath, timeout)
+                        .then(() => hashFile(filepath))
+                        .then(signedHash => {
+                            res.writeHead(200, {
+                                'content-type': 'application/octet-stream',
+                                'content-length': fs.statSync(filepath).size,
+                                'x-job-id': jobId,
+                                'x-content-sha256': signedHash
+                            });
+                            fs.createReadStream(filepath)
+                                .on('error', err => fail(500, `Cannot read signed file: ${err.message}`))
+                                .on('end', () => rimraf.sync(jobDir))
+                                .pipe(res);
+                            console.log(`Job ${jobId}: done.`);
+                        })
+                        .catch(err => fail(500, err.message, err.output)));
+                });
+        }).catch(err => fail(500, err.message));
+    };
+
+    return tls ? https.createServer(tls, handler) : http.createServer(handler);
+}
+
+/**
+ * Sends file to signing server and writes signed file to outFile.
+ *
+ * Rejects if signing failed or timed out, or if the returned file
+ * doesn't match its hash or wasn't changed by signing.
+ *
+ * @param {object} options
+ * @param {string} options.url signing server URL
+ * @param {string} options.token authentication token
+ * @param {string} options.inFile file to sign
+ * @param {string} options.outFile signed file destination
+ * @param {number} [options.timeout] signing timeout in milliseconds
+ * @param {string} [options.ca] CA certificate for HTTPS server
+ * @returns {Promise<string>} job ID
+ */
+async function requestSigning({ url, token, inFile, outFile, timeout = DEFAULT_TIMEOUT, ca }) {
+    const jobId = makeJobId();
+    const unsignedHash = await hashFile(inFile);
+    const target = new URL('/sign', url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const tmpFile = `${outFile}.${jobId}.part`;
+
+    return new Promise((fulfill, reject) => {
+        let timer;
+        let finished = false;
+        const done = err => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            if (err) {
+                try { fs.unlinkSync(tmpFile); } catch (ex) { /* may not exist */ }
+                return reject(err);
+            }
+            try {
+                fs.renameSync(tmpFile, outFile);
+            } catch (ex) {
+                return reject(ex);
+            }
+            fulfill(jobId);
+        };
+
+        const req = transport.request(target, {
+            method: 'POST',
+            ca,
+            headers: {
+                'authorization': `Bearer ${token}`,
+                'content-type': 'application/octet-stream',
+                'content-length': fs.statSync(inFile).size,
+                'x-job-id': jobId,
+                'x-file-name': path.basename(inFile),
+                'x-content-sha256': unsignedHash,
+                'x-timeout': String(timeout)
+            }
+        }, res => {
+            if (res.statusCode !== 200) {
+                let body = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => { body += chunk; });
+                res.on('end', () => {
+                    let info;
+                    try {
+                        info = JSON.parse(body);
+                    } catch (ex) {
+                        info = { error: body };
+                    }
+                    const output = info.output ? `\n${info.output}` : '';
+                    done(new Error(`Signing job ${jobId} failed (HTTP ${res.statusCode}): ${info.error}${output}`));
+                });
+                return;
+            }
+            if (res.headers['x-job-id'] !== jobId) {
+                res.resume();
+                return done(new Error(`Signer returned job ${res.headers['x-job-id']} instead of ${jobId}`));
+            }
+            const hash = crypto.createHash('sha256');
+            res.on('data', data => hash.update(data));
+            res.pipe(fs.createWriteStream(tmpFile))
+                .on('error', done)
+                .on('finish', () => {
+                    const signedHash = hash.digest('hex');
+                    if (signedHash !== res.headers['x-content-sha256']) {
+                        return done(new Error(`Signed file for job ${jobId} is corrupted (hash mismatch)`));
+                    }
+                    if (signedHash === unsignedHash) {
+                        return done(new Error(`Signer returned unchanged file for job ${jobId}`));
+                    }
+                    done();
+                });
+        });
+        req.on('error', done);
+        fs.createReadStream(inFile).on('error', done).pipe(req);
+
+        timer = setTimeout(() => {
+            done(new Error(`Signing job ${jobId} timed out after ${timeout} ms`));
+            req.abort();
+        }, timeout + TRANSFER_TIMEOUT);
+    });
+}
+
+module.exports = {
+    DEFAULT_TIMEOUT,
+    makeJobId,
+    getJobFileNames,
+    createSignServer,
+    requestSigning
+};
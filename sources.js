@@ -0,0 +1,251 @@
+// @ts-check
+/**
+ * Source providers: fetch project sources to build from.
+ *
+ * Every provider has the same interface:
+ *
+ *   describe(ref)         - human-readable description of the source
+ *   getLatestTag()        - latest tag according to semver
+ *   fetch(ref, destDir)   - puts sources into destDir, resolves to project dir
+ *   getCommitSHA(ref)     - commit SHA of the fetched sources
+ *   getChanges(ref)       - previous release tag and commits since it
+ *                           (see releasenotes.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver-extra');
+const copy = require('recursive-copy');
+const { execGit } = require('./helpers');
+const {
+    downloadTagArchive, getLatestTag, getCommitSHA, fetchTags, getFirstParentCommits
+} = require('./github');
+const { findPreviousTag, collectGitChanges } = require('./releasenotes');
+
+/**
+ * Fetches ZIP archives of tags from GitHub.
+ */
+class GitHubSource {
+    /**
+     * @param {string} owner organization name, e.g. PeerioTechnologies
+     * @param {string} repo project name, e.g. peerio-desktop
+     */
+    constructor(owner, repo) {
+        this.owner = owner;
+        this.repo = repo;
+    }
+
+    describe(ref) {
+        return `${this.owner}/${this.repo}@${ref} from GitHub`;
+    }
+
+    getLatestTag() {
+        return getLatestTag(this.owner, this.repo);
+    }
+
+    fetch(ref, destDir) {
+        return downloadTagArchive(this.owner, this.repo, ref, destDir);
+    }
+
+    getCommitSHA(ref) {
+        // Commit SHA (e.g. from lockfile) is not a branch or tag name.
+        if (/^[0-9a-f]{40}$/i.test(ref)) return Promise.resolve(ref);
+        return getCommitSHA(this.owner, this.repo, ref);
+    }
+
+    async getChanges(ref) {
+        const from = findPreviousTag(await fetchTags(this.owner, this.repo), ref);
+        if (!from) return { from, commits: [] };
+        return { from, commits: await getFirstParentCommits(this.owner, this.repo, from, ref) };
+    }
+}
+
+/**
+ * Clones any git repository (URL, local checkout or bare repository)
+ * and checks out the given ref (branch, tag or commit SHA).
+ */
+class GitSource {
+    /**
+     * @param {string} url anything that `git clone` accepts
+     */
+    constructor(url) {
+        this.url = url;
+        this.commitSHA = null;
+        this.dir = null;
+    }
+
+    describe(ref) {
+        return `${this.url}@${ref}`;
+    }
+
+    async getLatestTag() {
+        const out = await execGit(['ls-remote', '--tags', '--', this.url], process.cwd());
+        return parseTagList(out, this.url);
+    }
+
+    async fetch(ref, destDir) {
+        const dir = path.join(destDir, 'source');
+        await execGit(['clone', '--quiet', '--', this.url, dir], destDir);
+        await execGit(['checkout', '--quiet', ref, '--'], dir);
+        this.commitSHA = (await execGit(['rev-parse', 'HEAD'], dir)).trim();
+        this.dir = dir;
+        return dir;
+    }
+
+    async getCommitSHA(ref) {
+        if (this.commitSHA) return this.commitSHA;
+        const out = await execGit(['ls-remote', '--', this.url, ref], process.cwd());
+        const sha = out.split('\t')[0].trim();
+        if (!sha) throw new Error(`SHA for ref ${ref} not found in ${this.url}`);
+        return sha;
+    }
+
+    /**
+     * Looks at history of the fetched clone.
+     */
+    getChanges(ref) {
+        if (!this.dir) return Promise.reject(new Error(`${this.url} is not fetched`));
+        return collectGitChanges(args => execGit(args, this.dir), ref);
+    }
+}
+
+/**
+ * Copies the working tree of a local directory as is,
+ * including uncommitted changes.
+ */
+class LocalSource {
+    /**
+     * @param {string} dir project directory
+     */
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+    }
+
+    describe() {
+        return `local directory ${this.dir}`;
+    }
+
+    getLatestTag() {
+        // Working tree is built as is, there's nothing to check out.
+        return Promise.resolve('HEAD');
+    }
+
+    fetch(ref, destDir) {
+        const dir = path.join(destDir, 'source');
+        return copy(this.dir, dir, {
+            dot: true,
+            filter: p => !/^(\.git|node_modules)([\\/]|$)/.test(p)
+        }).then(() => dir);
+    }
+
+    /**
+     * Returns commit SHA of the local checkout with "-dirty" suffix
+     * if there are uncommitted changes, or "unknown" if the directory
+     * is not a git checkout.
+     */
+    async getCommitSHA() {
+        let sha;
+        try {
+            sha = (await execGit(['rev-parse', 'HEAD'], this.dir)).trim();
+        } catch (ex) {
+            return 'unknown';
+        }
+        const status = await execGit(['status', '--porcelain'], this.dir);
+        return status.trim() ? `${sha}-dirty` : sha;
+    }
+
+    /**
+     * Looks at history of the local checkout up to its HEAD.
+     */
+    getChanges() {
+        return collectGitChanges(args => execGit(args, this.dir), 'HEAD');
+    }
+}
+
+/**
+ * Returns the latest version tag (according to semver)
+ * from `git ls-remote --tags` output.
+ *
+ * @param {string} out ls-remote output
+ * @param {string} url repository URL for error message
+ * @returns {string} tag in vX.Y.Z format
+ */
+function parseTagList(out, url) {
+    const versions = parseTagNames(out).filter(v => semver.valid(v));
+    if (versions.length === 0) {
+        throw new Error(`No version tags found in ${url}`);
+    }
+    return 'v' + semver.valid(semver.max(versions));
+}
+
+/**
+ * Returns tag names from `git ls-remote --tags` output.
+ *
+ * @param {string} out ls-remote output
+ * @returns {string[]}
+ */
+function parseTagNames(out) {
+    return out.split('\n')
+        .map(line => line.split('\t')[1])
+        .filter(Boolean)
+        .map(name => name.replace(/^refs\/tags\//, '').replace(/\^\{\}$/, ''))
+        // Annotated tags are listed twice.
+        .filter((name, i, names) => names.indexOf(name) === i);
+}
+
+/**
+ * Returns true if the directory is a bare git repository.
+ *
+ * @param {string} dir
+ */
+function isBareRepository(dir) {
+    return fs.existsSync(path.join(dir, 'HEAD')) &&
+        fs.existsSync(path.join(dir, 'objects')) &&
+        !fs.existsSync(path.join(dir, 'package.json'));
+}
+
+/**
+ * Creates source provider for the given location.
+ *
+ * - no location: GitHub tag archive of owner/repo;
+ * - bare repository or git URL: cloned and checked out at the ref;
+ * - local checkout with a ref: cloned and checked out at the ref;
+ * - local directory without a ref: working tree copied as is.
+ *
+ * @param {string|undefined} location local directory or git URL
+ * @param {string|undefined} ref tag, branch or commit requested by user
+ * @param {string} owner GitHub organization name
+ * @param {string} repo GitHub project name
+ */
+function createSource(location, ref, owner, repo) {
+    if (!location) {
+        return new GitHubSource(owner, repo);
+    }
+    let stats;
+    try {
+        stats = fs.statSync(location);
+    } catch (ex) {
+        // Not a local path, assume git URL.
+        return new GitSource(location);
+    }
+    if (!stats.isDirectory()) {
+        throw new Error(`Source ${location} is not a directory`);
+    }
+    const absolute = path.resolve(location);
+    if (isBareRepository(absolute)) {
+        return new GitSource(absolute);
+    }
+    if (ref && fs.existsSync(path.join(absolute, '.git'))) {
+        return new GitSource(absolute);
+    }
+    return new LocalSource(absolute);
+}
+
+module.exports = {
+    GitHubSource,
+    GitSource,
+    LocalSource,
+    createSource,
+    parseTagList,
+    parseTagNames
+};
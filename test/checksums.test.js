@@ -0,0 +1,96 @@
+// @ts-check
+const test = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const {
+    CHECKSUMS_FILE, writeChecksums, readChecksums, verifyChecksums, signChecksums
+} = require('../checksums');
+
+/**
+ * Creates directory with the given files, removed after the test.
+ *
+ * @param {import('node:test').TestContext} t
+ * @param {Object<string, string>} files
+ */
+function makeDir(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'peerio-builder-test-'));
+    t.after(() => rimraf.sync(dir));
+    Object.keys(files).forEach(name => fs.writeFileSync(path.join(dir, name), files[name]));
+    return dir;
+}
+
+/**
+ * @param {string} data
+ */
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+test('checksums list release files, but not manifests and signatures', async t => {
+    const dir = makeDir(t, {
+        'Peerio.dmg': 'mac',
+        'Peerio.AppImage': 'linux',
+        'manifest.txt': 'm',
+        'manifest-beta.txt': 'm',
+        'rollout-beta.json': '{}',
+        'update-manifest.json': '{}',
+        'SHA256SUMS.asc': 'sig',
+        'builder-debug.yml': 'debug'
+    });
+    fs.mkdirSync(path.join(dir, 'mac'));
+    const filename = await writeChecksums(dir, [/^builder-debug\.yml$/]);
+    assert.strictEqual(filename, path.join(dir, CHECKSUMS_FILE));
+    assert.strictEqual(
+        fs.readFileSync(filename, 'utf8'),
+        `${sha256('linux')}  Peerio.AppImage\n${sha256('mac')}  Peerio.dmg\n`
+    );
+    assert.deepStrictEqual(readChecksums(filename), [
+        { name: 'Peerio.AppImage', sha256: sha256('linux') },
+        { name: 'Peerio.dmg', sha256: sha256('mac') }
+    ]);
+});
+
+test('checksums with binary mode marker are read', t => {
+    const dir = makeDir(t, { [CHECKSUMS_FILE]: `${sha256('mac').toUpperCase()} *Peerio.dmg\n\n` });
+    assert.deepStrictEqual(readChecksums(path.join(dir, CHECKSUMS_FILE)), [{ name: 'Peerio.dmg', sha256: sha256('mac') }]);
+});
+
+test('invalid checksums line is rejected', t => {
+    const dir = makeDir(t, { [CHECKSUMS_FILE]: 'abc  Peerio.dmg\n' });
+    assert.throws(() => readChecksums(path.join(dir, CHECKSUMS_FILE)), { message: 'Invalid line in SHA256SUMS: abc  Peerio.dmg' });
+});
+
+test('files that changed are reported', async t => {
+    const dir = makeDir(t, { 'Peerio.dmg': 'mac', 'Peerio.exe': 'changed' });
+    const mismatched = await verifyChecksums(dir, [
+        { name: 'Peerio.dmg', sha256: sha256('mac') },
+        { name: 'Peerio.exe', sha256: sha256('windows') }
+    ]);
+    assert.deepStrictEqual(mismatched, ['Peerio.exe']);
+});
+
+test('checksums are signed with update manifest of the checksums file', async t => {
+    const dir = makeDir(t, { [CHECKSUMS_FILE]: 'sums' });
+    const calls = [];
+    const maker = {
+        setVersion: version => calls.push(['setVersion', version]),
+        addFile: (...args) => calls.push(['addFile', ...args]),
+        generate: () => Promise.resolve('signed manifest')
+    };
+    const filename = path.join(dir, CHECKSUMS_FILE);
+    const sigfile = await signChecksums(filename, { maker, version: '1.2.0' });
+    assert.strictEqual(sigfile, `${filename}.manifest.txt`);
+    assert.strictEqual(fs.readFileSync(sigfile, 'utf8'), 'signed manifest');
+    assert.deepStrictEqual(calls, [
+        ['setVersion', '1.2.0'],
+        ['addFile', 'checksums', filename, CHECKSUMS_FILE]
+    ]);
+});
+
+test('checksums are not signed without signers', async () => {
+    assert.strictEqual(await signChecksums('/nonexistent/SHA256SUMS', {}), null);
+});
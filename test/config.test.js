@@ -0,0 +1,77 @@
+// @ts-check
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const { loadProfile, applyProfile } = require('../config');
+
+/**
+ * Writes config file with the given profiles into a directory
+ * removed after the test.
+ *
+ * @param {import('node:test').TestContext} t
+ * @param {object} profiles
+ */
+function writeConfig(t, profiles) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'peerio-builder-test-'));
+    t.after(() => rimraf.sync(dir));
+    const filename = path.join(dir, 'release-profiles.json');
+    fs.writeFileSync(filename, JSON.stringify({ profiles }));
+    return filename;
+}
+
+test('profile options are validated and normalized', t => {
+    const filename = writeConfig(t, {
+        staging: {
+            'repository': 'PeerioTechnologies/peerio-desktop',
+            'overrides': 'PeerioTechnologies/peerio-staging,PeerioTechnologies/brand',
+            'platforms': ['mac', 'linux'],
+            'versioning': true,
+            'publish': true
+        }
+    });
+    assert.deepStrictEqual(loadProfile(filename, 'staging'), {
+        repository: 'PeerioTechnologies/peerio-desktop',
+        overrides: ['PeerioTechnologies/peerio-staging', 'PeerioTechnologies/brand'],
+        platforms: 'mac,linux',
+        versioning: true,
+        publish: true
+    });
+});
+
+test('relative profile paths are relative to the config file', t => {
+    const filename = writeConfig(t, {
+        local: { 'key': 'keys/updater.key', 'pfx': '/abs/sign.pfx', 'source': '../src' },
+        remote: { source: 'git@github.com:PeerioTechnologies/peerio-desktop.git' }
+    });
+    const dir = path.dirname(filename);
+    assert.deepStrictEqual(loadProfile(filename, 'local'), {
+        key: path.join(dir, 'keys/updater.key'),
+        pfx: path.resolve('/abs/sign.pfx'),
+        source: path.resolve(dir, '../src')
+    });
+    assert.deepStrictEqual(loadProfile(filename, 'remote'), {
+        source: 'git@github.com:PeerioTechnologies/peerio-desktop.git'
+    });
+});
+
+test('every problem of a profile is reported', t => {
+    const filename = writeConfig(t, {
+        bad: { 'repository': 'peerio', 'platforms': 'mac,bsd', 'colour': 'blue' }
+    });
+    assert.throws(() => loadProfile(filename, 'bad'), err => {
+        assert.match(err.message, /"repository" must be in ORGANIZATION\/REPO format/);
+        assert.match(err.message, /"platforms" has unknown platforms: bsd/);
+        assert.match(err.message, /"colour" is not a known option/);
+        return true;
+    });
+    assert.throws(() => loadProfile(filename, 'good'), /Profile "good" not found in .* \(available: bad\)/);
+});
+
+test('command line options take precedence over profile', () => {
+    const program = { tag: 'v2.0.0', nosign: true, publish: undefined };
+    applyProfile(program, { tag: 'v1.0.0', shared: '/shared', publish: true, repository: 'a/b' });
+    assert.deepStrictEqual(program, { tag: 'v2.0.0', nosign: true, publish: true, repository: 'a/b' });
+});
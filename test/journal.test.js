@@ -0,0 +1,47 @@
+// @ts-check
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const { ReleaseJournal } = require('../journal');
+
+/**
+ * Returns journal file path in a directory removed after the test.
+ *
+ * @param {import('node:test').TestContext} t
+ */
+function journalFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'peerio-builder-test-'));
+    t.after(() => rimraf.sync(dir));
+    return path.join(dir, 'journal.json');
+}
+
+test('journal saves values and list items on every change', t => {
+    const filename = journalFile(t);
+    const journal = new ReleaseJournal(filename, { options: { tag: 'v1.0.0' } });
+    journal.save();
+    journal.set('version', '1.0.0');
+    journal.add('uploaded', 'Peerio.dmg');
+    journal.add('uploaded', 'Peerio.dmg');
+    journal.add('steps', 'fetch');
+
+    const loaded = ReleaseJournal.load(filename);
+    assert.strictEqual(loaded.data.version, '1.0.0');
+    assert.deepStrictEqual(loaded.data.options, { tag: 'v1.0.0' });
+    assert.deepStrictEqual(loaded.data.uploaded, ['Peerio.dmg']);
+    assert.ok(loaded.has('steps', 'fetch'));
+    assert.ok(!loaded.has('steps', 'override'));
+    assert.deepStrictEqual(loaded.data.pushedTags, []);
+});
+
+test('loading missing or broken journal fails with its path', t => {
+    const filename = journalFile(t);
+    assert.throws(
+        () => ReleaseJournal.load(filename),
+        err => err.message.startsWith(`Cannot read release journal ${filename}: `)
+    );
+    fs.writeFileSync(filename, '{');
+    assert.throws(() => ReleaseJournal.load(filename), /Cannot read release journal/);
+});
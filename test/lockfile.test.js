@@ -0,0 +1,61 @@
+// @ts-check
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const { LOCKFILE_NAME, writeLockfile, readLockfile } = require('../lockfile');
+
+const SHA = '1a2b3c4d5e6f1a2b3c4d5e6f1a2b3c4d5e6f1a2b';
+
+/**
+ * Returns lockfile path in a directory removed after the test.
+ *
+ * @param {import('node:test').TestContext} t
+ */
+function lockfilePath(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'peerio-builder-test-'));
+    t.after(() => rimraf.sync(dir));
+    return path.join(dir, LOCKFILE_NAME);
+}
+
+test('written lockfile is read back', t => {
+    const filename = lockfilePath(t);
+    const source = { location: null, ref: 'v3.0.0', commit: SHA };
+    const overrides = [{ spec: 'PeerioTechnologies/whitelabel-base', location: '/tmp/base', commit: SHA }];
+    writeLockfile(filename, { repository: 'PeerioTechnologies/peerio-desktop', source, overrides });
+    const lock = readLockfile(filename);
+    assert.strictEqual(lock.repository, 'PeerioTechnologies/peerio-desktop');
+    assert.deepStrictEqual(lock.source, source);
+    assert.deepStrictEqual(lock.overrides, overrides);
+    assert.ok(!isNaN(Date.parse(lock.createdAt)));
+});
+
+test('lockfile of uncommitted sources or overrides is rejected', t => {
+    const filename = lockfilePath(t);
+    writeLockfile(filename, {
+        repository: 'PeerioTechnologies/peerio-desktop',
+        source: { location: '/src', ref: null, commit: `${SHA}-dirty` },
+        overrides: [
+            { spec: 'base', location: '/tmp/base', commit: SHA },
+            { spec: 'brand', location: '/tmp/brand', commit: null }
+        ]
+    });
+    assert.throws(() => readLockfile(filename), err => {
+        assert.match(err.message, new RegExp(`source was built from "${SHA}-dirty"`));
+        assert.match(err.message, /overrides brand was built from unknown commit/);
+        assert.doesNotMatch(err.message, /overrides base/);
+        return true;
+    });
+});
+
+test('lockfile without source and overrides is rejected', t => {
+    const filename = lockfilePath(t);
+    fs.writeFileSync(filename, '{}');
+    assert.throws(() => readLockfile(filename), err => {
+        assert.match(err.message, /source is missing/);
+        assert.match(err.message, /overrides list is missing/);
+        return true;
+    });
+});
@@ -0,0 +1,71 @@
+// @ts-check
+const test = require('node:test');
+const assert = require('assert');
+const { parseChannels, resolveChannels } = require('../manifest');
+
+const START = '2018-11-20T10:00:00.000Z';
+
+test('parseChannels parses names with optional rollout', () => {
+    assert.deepStrictEqual(parseChannels('stable:20, beta'), [
+        { name: 'stable', rollout: 20 },
+        { name: 'beta', rollout: null }
+    ]);
+});
+
+test('parseChannels reports every invalid channel', () => {
+    assert.throws(() => parseChannels('stable:0,beta:101,bad name,beta'), err => {
+        assert.match(err.message, /"stable:0" rollout must be a percentage/);
+        assert.match(err.message, /"beta:101" rollout must be a percentage/);
+        assert.match(err.message, /"bad name" must be a channel name/);
+        assert.match(err.message, /channel "beta" is listed twice/);
+        return true;
+    });
+});
+
+test('resolveChannels uses default channel without list or previous channels', () => {
+    const channels = resolveChannels(undefined, { defaultChannel: 'stable', rolloutStart: START });
+    assert.deepStrictEqual(channels, [{ name: 'stable', rollout: 100, rolloutStart: START, halted: false }]);
+});
+
+test('resolveChannels starts new rollout now', () => {
+    const before = Date.now();
+    const [channel] = resolveChannels('beta:50', { defaultChannel: 'stable' });
+    assert.strictEqual(channel.rollout, 50);
+    assert.ok(Date.parse(channel.rolloutStart) >= before - 1000);
+});
+
+test('resolveChannels keeps previous channels without list', () => {
+    const previous = [
+        { name: 'stable', rollout: 20, rolloutStart: START, halted: true },
+        { name: 'beta', rollout: 100, rolloutStart: START, halted: false }
+    ];
+    assert.deepStrictEqual(resolveChannels(undefined, { defaultChannel: 'stable' }, previous), previous);
+});
+
+test('resolveChannels changes rollout of listed channels only', () => {
+    const previous = [{ name: 'stable', rollout: 20, rolloutStart: START, halted: false }];
+    const channels = resolveChannels('stable:50,beta', { defaultChannel: 'stable' }, previous);
+    assert.deepStrictEqual(channels[0], { name: 'stable', rollout: 50, rolloutStart: START, halted: false });
+    assert.strictEqual(channels[1].name, 'beta');
+    assert.strictEqual(channels[1].rollout, 100);
+});
+
+test('resolveChannels keeps halted rollout unless halt is given', () => {
+    const previous = [{ name: 'stable', rollout: 20, rolloutStart: START, halted: true }];
+    const later = '2018-11-21T10:00:00.000Z';
+    const [kept] = resolveChannels('stable:50', { defaultChannel: 'stable', rolloutStart: later }, previous);
+    assert.deepStrictEqual(kept, { name: 'stable', rollout: 50, rolloutStart: later, halted: true });
+    const [resumed] = resolveChannels(undefined, { defaultChannel: 'stable', halt: false }, previous);
+    assert.strictEqual(resumed.halted, false);
+    const [halted] = resolveChannels(undefined, { defaultChannel: 'stable', halt: true }, [
+        { name: 'stable', rollout: 20, rolloutStart: START, halted: false }
+    ]);
+    assert.strictEqual(halted.halted, true);
+});
+
+test('resolveChannels rejects invalid rollout start', () => {
+    assert.throws(
+        () => resolveChannels(undefined, { defaultChannel: 'stable', rolloutStart: 'tomorrow' }),
+        /Invalid rollout start time "tomorrow"/
+    );
+});
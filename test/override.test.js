@@ -0,0 +1,113 @@
+// @ts-check
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const { override } = require('../override');
+
+/**
+ * Creates overrides and target directories with the given files,
+ * removed after the test.
+ *
+ * @param {import('node:test').TestContext} t
+ * @param {Object<string, string>} overrides files of overrides directory
+ * @param {Object<string, string>} target files of target directory
+ */
+function makeDirs(t, overrides, target) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'peerio-builder-test-'));
+    t.after(() => rimraf.sync(root));
+    const srcDir = path.join(root, 'overrides');
+    const dstDir = path.join(root, 'target');
+    [[srcDir, overrides], [dstDir, target]].forEach(([dir, files]) => {
+        Object.keys(files).forEach(name => {
+            fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+            fs.writeFileSync(path.join(dir, name), files[name]);
+        });
+        fs.mkdirSync(dir, { recursive: true });
+    });
+    return { srcDir, dstDir };
+}
+
+const PACKAGE = JSON.stringify({ name: 'peerio', build: { appId: 'com.peerio', files: ['a'] } });
+
+test('JSON overrides are applied and reported', async t => {
+    const { srcDir, dstDir } = makeDirs(t, {
+        'json-overrides.json': JSON.stringify({
+            'package.json': [
+                { op: 'replace', path: '/name', value: 'acme' },
+                { op: 'append', path: '/build/files', value: ['b'] },
+                { op: 'merge', path: '/build', value: { appId: 'com.peerio', productName: 'Acme' } }
+            ]
+        })
+    }, { 'package.json': PACKAGE });
+    const report = await override(srcDir, dstDir, { jsonOverridesFile: 'json-overrides.json' });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dstDir, 'package.json'), 'utf8')), {
+        name: 'acme',
+        build: { appId: 'com.peerio', files: ['a', 'b'], productName: 'Acme' }
+    });
+    assert.deepStrictEqual(report.json['package.json'], {
+        added: ['build.productName'],
+        changed: ['name', 'build.files'],
+        unchanged: ['build.appId']
+    });
+    assert.deepStrictEqual(report.warnings, ['package.json: "build.productName" doesn\'t exist upstream']);
+});
+
+test('JSON override of a missing path fails', async t => {
+    const { srcDir, dstDir } = makeDirs(t, {
+        'json-overrides.json': JSON.stringify({ 'package.json': [{ op: 'remove', path: '/build/mac' }] })
+    }, { 'package.json': PACKAGE });
+    await assert.rejects(
+        override(srcDir, dstDir, { jsonOverridesFile: 'json-overrides.json' }),
+        /Cannot apply override #1 to package\.json: path \/build\/mac doesn't exist/
+    );
+});
+
+test('JSON patches replace matches in order of file names', async t => {
+    const { srcDir, dstDir } = makeDirs(t, {
+        'patches/1-name.json': JSON.stringify({ 'src/main.js': [{ find: 'Peerio', flags: 'g', replace: 'Acme' }] }),
+        'patches/2-url.json': JSON.stringify({ 'src/main.js': [{ find: 'Acme\\.com', replace: 'acme.example' }] })
+    }, { 'src/main.js': 'title("Peerio"); open("Peerio.com");\n' });
+    const report = await override(srcDir, dstDir, { patchesDir: 'patches' });
+    assert.strictEqual(fs.readFileSync(path.join(dstDir, 'src/main.js'), 'utf8'), 'title("Acme"); open("acme.example");\n');
+    assert.deepStrictEqual(report.patched, ['src/main.js']);
+});
+
+test('JSON patch fails if its pattern is not found', async t => {
+    const { srcDir, dstDir } = makeDirs(t, {
+        'patches/name.json': JSON.stringify({ 'src/main.js': [{ find: 'Missing', replace: 'Acme' }] })
+    }, { 'src/main.js': 'title("Peerio");\n' });
+    await assert.rejects(
+        override(srcDir, dstDir, { patchesDir: 'patches' }),
+        { message: 'Patch name.json: "Missing" not found in src/main.js' }
+    );
+});
+
+test('JSON patch fails if its file is not found', async t => {
+    const { srcDir, dstDir } = makeDirs(t, {
+        'patches/name.json': JSON.stringify({ 'src/gone.js': [{ find: 'Peerio', replace: 'Acme' }] })
+    }, { 'src/main.js': 'title("Peerio");\n' });
+    await assert.rejects(
+        override(srcDir, dstDir, { patchesDir: 'patches' }),
+        { message: 'Patch name.json: src/gone.js not found' }
+    );
+});
+
+test('diff patches are applied with git apply', async t => {
+    const diff = [
+        '--- a/src/main.js',
+        '+++ b/src/main.js',
+        '@@ -1 +1 @@',
+        '-title("Peerio");',
+        '+title("Acme");',
+        ''
+    ].join('\n');
+    const { srcDir, dstDir } = makeDirs(t, { 'patches/title.patch': diff }, { 'src/main.js': 'title("Peerio");\n' });
+    const report = await override(srcDir, dstDir, { patchesDir: 'patches' });
+    assert.strictEqual(fs.readFileSync(path.join(dstDir, 'src/main.js'), 'utf8'), 'title("Acme");\n');
+    assert.deepStrictEqual(report.patched, ['src/main.js']);
+
+    await assert.rejects(override(srcDir, dstDir, { patchesDir: 'patches' }), /Patch title\.patch doesn't apply cleanly/);
+});
@@ -0,0 +1,62 @@
+// @ts-check
+const test = require('node:test');
+const assert = require('assert');
+const { computeVersion } = require('../versioning');
+
+/**
+ * Computes version with defaults for inputs not given.
+ */
+function compute(strategy, inputs) {
+    return computeVersion(strategy, Object.assign({
+        upstream: '1.2.0',
+        tags: [],
+        suffix: null,
+        commit: '1a2b3c4d5e6f1a2b3c4d5e6f1a2b3c4d5e6f1a2b',
+        date: new Date('2018-11-20T23:30:00Z')
+    }, inputs), 'overrides');
+}
+
+test('upstream strategy drops prerelease of upstream version', () => {
+    assert.strictEqual(compute('upstream', { upstream: '1.2.0-beta.1', suffix: 'staging' }), '1.2.0-staging');
+});
+
+test('patch strategy increments the latest tag unless upstream is greater', () => {
+    assert.strictEqual(compute('patch', { upstream: '1.0.0', tags: ['v1.0.0'] }), '1.0.1');
+    assert.strictEqual(compute('patch', { upstream: '1.2.0', tags: ['v1.0.0', 'not-a-version'] }), '1.2.0');
+    assert.strictEqual(compute('patch', { upstream: '1.0.0', tags: ['v1.0.3-staging'], suffix: 'staging' }), '1.0.4-staging');
+});
+
+test('prerelease strategy increments counter of the same base and suffix', () => {
+    const tags = ['v1.2.0-nightly.1', 'v1.2.0-nightly.3', 'v1.1.0-nightly.7', 'v1.2.0-beta.9'];
+    assert.strictEqual(compute('prerelease', { tags, suffix: 'nightly' }), '1.2.0-nightly.4');
+    assert.strictEqual(compute('prerelease', { suffix: 'nightly' }), '1.2.0-nightly.1');
+});
+
+test('prerelease strategy requires suffix', () => {
+    assert.throws(() => compute('prerelease', {}), /requires suffix/);
+});
+
+test('build strategy adds short commit SHA as build metadata', () => {
+    assert.strictEqual(compute('build', { suffix: 'staging' }), '1.2.0-staging+1a2b3c4');
+    assert.strictEqual(compute('build', { commit: '1a2b3c4d5e6f-dirty' }), '1.2.0+1a2b3c4-dirty');
+});
+
+test('date strategy uses UTC date with counter of the day', () => {
+    assert.strictEqual(compute('date', { suffix: 'staging' }), '2018.11.20-staging.1');
+    assert.strictEqual(compute('date', {
+        tags: ['v2018.11.20-staging.1', 'v2018.11.20-staging.2', 'v2018.11.19-staging.5'],
+        suffix: 'staging'
+    }), '2018.11.20-staging.3');
+    assert.strictEqual(compute('date', { tags: ['v2018.11.20-1'] }), '2018.11.20-2');
+});
+
+test('computeVersion refuses versions that are already used', () => {
+    assert.throws(
+        () => compute('upstream', { tags: ['v1.2.0'] }),
+        /Version v1\.2\.0 is already used in overrides/
+    );
+});
+
+test('computeVersion rejects unknown strategy', () => {
+    assert.throws(() => compute('random', {}), /Unknown versioning strategy random/);
+});
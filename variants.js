@@ -0,0 +1,224 @@
+// @ts-check
+/**
+ * Multi-variant builds: several whitelabel variants built from one download
+ * of sources, each by a separate builder process with the variant's release
+ * profile and its own work directory.
+ *
+ * Variant builds make update manifests with the key unlocked by the parent
+ * process, so that it's unlocked once: RemoteManifestMaker records calls and
+ * sends them over IPC when a manifest is generated, and the parent replays
+ * them on a fresh manifest maker with the unlocked key.
+ */
+
+const readline = require('readline');
+const { fork } = require('child_process');
+const { formatDuration } = require('./buildlog');
+
+/* Environment variable that tells variant build to make manifests with the parent's key */
+const KEY_FROM_PARENT_VARIABLE = 'PEERIO_RELEASE_KEY_FROM_PARENT';
+
+/* Manifest maker methods used by builder (see manifest.js) */
+const MAKER_METHODS = ['setVersion', 'setOptionalSince', 'addFile', 'addGitHubFile', 'generate'];
+
+/* Methods that return results from the parent, others are recorded */
+const REMOTE_METHODS = ['generate'];
+
+/* Profile options that must be the same for every variant */
+const SHARED_OPTIONS = ['repository', 'tag', 'source', 'publish', 'destination'];
+
+/**
+ * Manifest maker of a variant build, which makes manifests
+ * with the key unlocked by the parent process.
+ */
+class RemoteManifestMaker {
+    /**
+     * @param {(calls: any[], method: string, args: any[]) => Promise<any>} request
+     *        sends request to the parent
+     */
+    constructor(request) {
+        this.calls = [];
+        MAKER_METHODS.forEach(name => {
+            this[name] = REMOTE_METHODS.indexOf(name) >= 0
+                ? (...args) => request(this.calls, name, args)
+                : (...args) => { this.calls.push([name, args]); };
+        });
+    }
+}
+
+/**
+ * Returns function that makes manifest makers of a variant build
+ * (see manifest.js unlockManifestKey()), all sending requests over
+ * the IPC channel to the parent.
+ *
+ * @returns {() => RemoteManifestMaker}
+ */
+function createRemoteMakerFactory() {
+    const pending = {};
+    let lastId = 0;
+    process.on('message', ({ id, result, error }) => {
+        const { fulfill, reject } = pending[id];
+        delete pending[id];
+        // The channel shouldn't keep process alive without requests.
+        if (Object.keys(pending).length === 0) process.channel.unref();
+        if (error) return reject(new Error(error));
+        fulfill(decode(result));
+    });
+    process.channel.unref();
+
+    const request = (calls, method, args) => {
+        const id = ++lastId;
+        return new Promise((fulfill, reject) => {
+            pending[id] = { fulfill, reject };
+            process.channel.ref();
+            process.send({ id, method, calls, args: args.map(encode) });
+        });
+    };
+    return () => new RemoteManifestMaker(request);
+}
+
+/**
+ * Runs builder for a variant, printing its output prefixed with variant name,
+ * and serving its manifest maker requests.
+ *
+ * @param {string} name variant name
+ * @param {string[]} args builder arguments
+ * @param {() => object} [newMaker] makes manifest makers with unlocked key,
+ *                                  if variant makes manifests
+ * @returns {Promise<number>} exit code
+ */
+function runVariantBuild(name, args, newMaker) {
+    return new Promise((fulfill, reject) => {
+        const env = Object.assign({}, process.env);
+        if (newMaker) env[KEY_FROM_PARENT_VARIABLE] = '1';
+        const child = fork(require.main.filename, args, { env, silent: true });
+        readline.createInterface({ input: child.stdout }).on('line', line => console.log(`[${name}] ${line}`));
+        readline.createInterface({ input: child.stderr }).on('line', line => console.error(`[${name}] ${line}`));
+        child.on('message', async ({ id, method, calls, args }) => {
+            let reply;
+            try {
+                // Every request is made by a fresh maker,
+                // so that variants don't share manifest contents.
+                const m = newMaker();
+                calls.forEach(([name, callArgs]) => m[name](...callArgs));
+                reply = { id, result: encode(await m[method](...args.map(decode))) };
+            } catch (ex) {
+                reply = { id, error: ex.message };
+            }
+            // The child may have exited meanwhile.
+            if (child.connected) child.send(reply);
+        });
+        child.on('error', ex => {
+            // Running child is waited for, its exit code tells it failed.
+            if (child.pid === undefined) return reject(ex);
+            console.error(`[${name}] Error: ${ex.message}`);
+        });
+        child.on('close', code => fulfill(code === null ? 1 : code));
+    });
+}
+
+/**
+ * Encodes value for IPC, keeping buffers.
+ *
+ * @param {any} value
+ */
+function encode(value) {
+    return Buffer.isBuffer(value) ? { buffer: value.toString('base64') } : value;
+}
+
+/**
+ * Decodes value encoded by encode().
+ *
+ * @param {any} value
+ */
+function decode(value) {
+    return value && typeof value.buffer === 'string' ? Buffer.from(value.buffer, 'base64') : value;
+}
+
+/**
+ * Returns command line arguments without the given options and their values.
+ *
+ * @param {string[]} argv
+ * @param {Array<[string[], boolean]>} options option flags and whether they take a value
+ *                                             (optional values are taken if they don't look like options)
+ * @returns {string[]}
+ */
+function stripOptions(argv, options) {
+    const result = [];
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i].split('=')[0];
+        const option = options.find(([flags]) => flags.indexOf(flag) >= 0);
+        if (!option) {
+            result.push(argv[i]);
+            continue;
+        }
+        if (option[1] && argv[i] === flag && i + 1 < argv.length && !/^-/.test(argv[i + 1])) {
+            i++; // skip value
+        }
+    }
+    return result;
+}
+
+/**
+ * Returns problems with variant profile options, which must not
+ * change what's fetched or where results go.
+ *
+ * @param {object} options profile options (see config.js)
+ * @returns {string[]}
+ */
+function checkVariantOptions(options) {
+    return SHARED_OPTIONS
+        .filter(name => options[name] !== undefined)
+        .map(name => `"${name}" must be the same for every variant, give it on command line`);
+}
+
+/**
+ * Runs function for every item, at most limit at a time.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T) => Promise<R>} fn
+ * @returns {Promise<R[]>} results in the order of items
+ */
+async function runLimited(items, limit, fn) {
+    const results = [];
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i]);
+        }
+    };
+    const workers = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Formats table of variant build results.
+ *
+ * @param {Array<{name: string, version: string|null, failedStep: string|null, duration: number}>} results
+ */
+function formatVariantSummary(results) {
+    const rows = [['Variant', 'Version', 'Result', 'Time']].concat(results.map(r => [
+        r.name,
+        r.version || '-',
+        r.failedStep ? `failed at ${r.failedStep}` : 'ok',
+        formatDuration(r.duration)
+    ]));
+    const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+    return rows.map(row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trim()).join('\n');
+}
+
+module.exports = {
+    KEY_FROM_PARENT_VARIABLE,
+    createRemoteMakerFactory,
+    runVariantBuild,
+    stripOptions,
+    checkVariantOptions,
+    runLimited,
+    formatVariantSummary
+};
@@ -0,0 +1,154 @@
+// @ts-check
+/**
+ * Versioning strategies for releases tagged in overrides repository
+ * (--versioning [suffix] with --versioning-strategy <name>).
+ *
+ * Each strategy computes release version from the version in sources, tags
+ * of the overrides repository and the suffix (e.g. "staging"):
+ *
+ *   upstream   - version from sources:                         1.2.0-staging
+ *   patch      - the greater of version from sources and the
+ *                latest tag with incremented patch (default):  1.2.1-staging
+ *   prerelease - version from sources with counter after the
+ *                suffix, one more than in existing tags:       1.2.0-nightly.3
+ *   build      - version from sources with short commit SHA
+ *                of sources as build metadata (not for
+ *                publishing, since it doesn't order versions): 1.2.0-staging+1a2b3c4
+ *   date       - UTC date of the build with counter, one more
+ *                than in existing tags of the day:             2018.11.20-staging.2
+ *                                            (without suffix:  2018.11.20-2)
+ *
+ * Prerelease parts and build metadata of the version from sources are dropped.
+ * Computed version must not be tagged in the overrides repository or
+ * published yet, so that a version is never reused.
+ */
+
+const semver = require('semver-extra');
+
+/* Strategy used if --versioning-strategy is not given */
+const DEFAULT_STRATEGY = 'patch';
+
+/**
+ * @typedef {object} VersionInputs
+ * @property {string} upstream version from sources
+ * @property {string[]} tags tags of overrides repository and published versions
+ * @property {string|null} suffix version suffix
+ * @property {string} commit commit SHA of sources
+ * @property {Date} date build date
+ */
+
+/* Strategies by name, each returns version in X.Y.Z... format */
+const STRATEGIES = {
+    /** @param {VersionInputs} inputs */
+    upstream({ upstream, suffix }) {
+        return withSuffix(getBase(upstream), suffix);
+    },
+
+    /** @param {VersionInputs} inputs */
+    patch({ upstream, tags, suffix }) {
+        // Examples:
+        //
+        //   original : 1.0.0
+        //   overrides: 1.0.0
+        //    --> new : 1.0.1
+        //
+        //   original : 1.2.0
+        //   overrides: 1.0.0
+        //    --> new : 1.2.0
+        //
+        const base = getBase(upstream);
+        const versions = tags.filter(t => semver.valid(t)).map(getBase);
+        const latest = versions.length ? semver.max(versions) : null;
+        const version = !latest || semver.gt(base, latest) ? base : semver.inc(latest, 'patch');
+        return withSuffix(version, suffix);
+    },
+
+    /** @param {VersionInputs} inputs */
+    prerelease({ upstream, tags, suffix }) {
+        if (!suffix) {
+            throw new Error('prerelease versioning requires suffix, e.g. --versioning nightly');
+        }
+        return withCounter(`${getBase(upstream)}-${suffix}.`, tags);
+    },
+
+    /** @param {VersionInputs} inputs */
+    build({ upstream, suffix, commit }) {
+        // Keeps "-dirty" of local sources with uncommitted changes.
+        const sha = commit.replace(/^([0-9a-f]{7})[0-9a-f]*/i, '$1').replace(/[^0-9A-Za-z-]/g, '-');
+        return `${withSuffix(getBase(upstream), suffix)}+${sha}`;
+    },
+
+    /** @param {VersionInputs} inputs */
+    date({ tags, suffix, date }) {
+        // Counter is a prerelease part, so that builds of the same day
+        // get different versions ordered by build.
+        const version = `${date.getUTCFullYear()}.${date.getUTCMonth() + 1}.${date.getUTCDate()}`;
+        return withCounter(suffix ? `${version}-${suffix}.` : `${version}-`, tags);
+    }
+};
+
+/* Strategy names for validation */
+const STRATEGY_NAMES = Object.keys(STRATEGIES);
+
+/**
+ * Returns X.Y.Z part of version.
+ *
+ * @param {string} version
+ */
+function getBase(version) {
+    return semver.valid(version).replace(/[-+].*$/, '');
+}
+
+/**
+ * Appends counter to version prefix, one more than the greatest
+ * counter after the prefix in tags (or 1).
+ *
+ * @param {string} prefix version up to the counter
+ * @param {string[]} tags
+ */
+function withCounter(prefix, tags) {
+    const counters = tags
+        .map(t => t.replace(/^v/, ''))
+        .filter(t => t.startsWith(prefix) && /^\d+$/.test(t.substring(prefix.length)))
+        .map(t => Number(t.substring(prefix.length)));
+    return prefix + (Math.max(0, ...counters) + 1);
+}
+
+/**
+ * Appends suffix to version, if it's given.
+ *
+ * @param {string} version
+ * @param {string|null} suffix
+ */
+function withSuffix(version, suffix) {
+    return suffix ? `${version}-${suffix}` : version;
+}
+
+/**
+ * Computes release version with the strategy and checks that
+ * it's not tagged yet.
+ *
+ * @param {string} strategy strategy name
+ * @param {VersionInputs} inputs
+ * @param {string} where description of overrides repository and publishing target for errors
+ * @returns {string} version in X.Y.Z... format (without "v")
+ */
+function computeVersion(strategy, inputs, where) {
+    if (!STRATEGIES[strategy]) {
+        throw new Error(`Unknown versioning strategy ${strategy} (expected ${STRATEGY_NAMES.join(', ')})`);
+    }
+    const version = STRATEGIES[strategy](inputs);
+    if (!semver.valid(version)) {
+        throw new Error(`${strategy} versioning made invalid version ${version}`);
+    }
+    if (inputs.tags.some(t => t.replace(/^v/, '') === version)) {
+        throw new Error(`Version v${version} is already used in ${where}, release versions are never reused`);
+    }
+    return version;
+}
+
+module.exports = {
+    DEFAULT_STRATEGY,
+    STRATEGY_NAMES,
+    computeVersion
+};
@@ -6,92 +6,187 @@
  * Waits for a file to sign to appear in the shared folder, then signs this
  * file, and moves it into the output folder.
  *
+ * Alternatively, with --listen, accepts signing requests over HTTP(S)
+ * (see signservice.js). Requests must be authenticated with the token
+ * from SIGNER_TOKEN environment variable.
+ *
  * If the given certificate name ends with .pfx, it's considered a certificate
  * file, if not, it's a name of certificate from certs store.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execFile } = require('child_process');
-const { Queue, moveFileToDir, watchDir, criticalError } = require('./helpers');
+const { execFile, exec } = require('child_process');
+const {
+    Queue, moveFileToDir, watchDir, criticalError, hashFile, readFile, writeFile
+} = require('./helpers');
+const { createSignServer, getJobFileNames, DEFAULT_TIMEOUT } = require('./signservice');
 const program = require('commander');
 
-if (process.platform !== 'win32') {
-    console.error('Run this program on Windows');
-    process.exit(1);
-}
-
 program
-    .usage('--shared <dir> [--certificate <name>]')
+    .usage('(--shared <dir> | --listen <port>) [--certificate <name>]')
     .option('-s --shared <dir>', 'Shared directory between macOS and Windows')
+    .option('-l --listen <port>', 'Accept signing requests over HTTP on the port (token in SIGNER_TOKEN)')
+    .option('--tls-cert <file>', 'TLS certificate file to serve HTTPS instead of HTTP')
+    .option('--tls-key <file>', 'TLS private key file to serve HTTPS instead of HTTP')
     .option('-c --certificate [name]', 'Certificate name (or file name ending with .pfx)')
+    .option('--sign-command <command>', 'Command to sign files with instead of signtool (file path is appended)')
     .parse(process.argv);
 
-if (!program.shared) {
+if (process.platform !== 'win32' && !program.signCommand) {
+    console.error('Run this program on Windows (or specify --sign-command)');
+    process.exit(1);
+}
+
+if ((!program.shared && !program.listen) || (program.shared && program.listen)) {
     program.outputHelp();
     process.exit(1);
 }
 
+const SIGNER_TOKEN = process.env.SIGNER_TOKEN;
+if (program.listen && !SIGNER_TOKEN) {
+    console.error('Please set SIGNER_TOKEN environment variable to the token shared with the build machine');
+    process.exit(2);
+}
+
+if (!!program.tlsCert !== !!program.tlsKey) {
+    console.error('Error: both --tls-cert and --tls-key are required for HTTPS.');
+    process.exit(1);
+}
+
 console.log('Windows signing service started.')
 
-// Get input and output directory.
-const SHARED_DIR = program.shared;
-const INPUT_DIR = path.join(SHARED_DIR, 'in');
-const OUTPUT_DIR = path.join(SHARED_DIR, 'out');
 const CERT_NAME = program.certificate;
 
 // Find sign tool.
-const signTool = findSignToolBinary();
+const signTool = program.signCommand ? null : findSignToolBinary();
 
-// Create directories if they don't exist.
-try {
-    fs.mkdirSync(INPUT_DIR);
-} catch (ex) {
-    if (ex.code !== 'EEXIST') criticalError(ex);
-}
-try {
-    fs.mkdirSync(OUTPUT_DIR);
-} catch (ex) {
-    if (ex.code !== 'EEXIST') criticalError(ex);
+if (program.listen) {
+    const tls = program.tlsCert ? {
+        cert: fs.readFileSync(program.tlsCert),
+        key: fs.readFileSync(program.tlsKey)
+    } : undefined;
+    createSignServer({ token: SIGNER_TOKEN, sign: signFile, tls })
+        .on('error', criticalError)
+        .listen(Number(program.listen), () => {
+            console.log(`Listening for signing requests on port ${program.listen}...`);
+        });
+} else {
+    watchSharedDir(program.shared);
 }
 
-const fileQueue = new Queue();
-
-// Watch input directory for changes and proceed
-// with signing if .exe file is detected.
-watchDir(INPUT_DIR, true, basename => {
-    console.log(`DEBUG: File appeared: ${basename}`);
-    if (path.extname(basename) === '.exe') {
-        // Make sure the file exists, since 'rename' event also fires for removals.
-        const filepath = path.join(INPUT_DIR, basename);
-        // TODO: maybe need to move this file into a temporary directory for signing.
-        fs.access(filepath, fs.constants.R_OK, err => {
-            if (!err) fileQueue.add(() => handleFile(filepath), filepath);
-        });
+/**
+ * Watches shared directory for files to sign.
+ *
+ * @param {string} sharedDir shared directory with "in" and "out" subdirectories
+ */
+function watchSharedDir(sharedDir) {
+    const INPUT_DIR = path.join(sharedDir, 'in');
+    const OUTPUT_DIR = path.join(sharedDir, 'out');
+
+    // Create directories if they don't exist.
+    try {
+        fs.mkdirSync(INPUT_DIR);
+    } catch (ex) {
+        if (ex.code !== 'EEXIST') criticalError(ex);
     }
-});
+    try {
+        fs.mkdirSync(OUTPUT_DIR);
+    } catch (ex) {
+        if (ex.code !== 'EEXIST') criticalError(ex);
+    }
+
+    const fileQueue = new Queue();
+
+    // Watch input directory for changes and proceed
+    // with signing if job description is detected.
+    watchDir(INPUT_DIR, true, basename => {
+        console.log(`DEBUG: File appeared: ${basename}`);
+        if (/\.job\.json$/.test(basename)) {
+            // Make sure the file exists, since 'rename' event also fires for removals.
+            const jobpath = path.join(INPUT_DIR, basename);
+            fs.access(jobpath, fs.constants.R_OK, err => {
+                if (!err) fileQueue.add(() => handleJob(jobpath, OUTPUT_DIR), jobpath);
+            });
+        }
+    });
 
-console.log(`Watching ${INPUT_DIR} for changes...`);
+    console.log(`Watching ${INPUT_DIR} for changes...`);
+}
 
 /**
- * Signs the given file and moves the result to output directory.
- * @param filepath executable file path
+ * Signs the file described by job, moves it to output directory and
+ * writes job result there. If signing fails, writes result with error
+ * and signtool output, so that the build machine doesn't wait forever.
+ *
+ * @param jobpath job description file path
+ * @param outputDir output directory
  */
-function handleFile(filepath) {
-    console.log(`Signing ${filepath}...`);
-    return signFile(filepath)
-        .then(() => moveFileToDir(filepath, OUTPUT_DIR))
-        .then(outpath => console.log(`Done ${outpath}.`))
-        .catch(err => console.error(`ERROR ${filepath}: ${err}`));
+async function handleJob(jobpath, outputDir) {
+    let job;
+    try {
+        job = JSON.parse(await readFile(jobpath, 'utf8'));
+    } catch (err) {
+        console.error(`ERROR ${jobpath}: ${err}`);
+        return;
+    }
+    const filepath = path.join(path.dirname(jobpath), path.basename(job.file));
+    const resultpath = path.join(outputDir, getJobFileNames(job.jobId, job.file).result);
+    try {
+        if (await hashFile(filepath) !== job.sha256) {
+            throw new Error('Content hash mismatch');
+        }
+        console.log(`Signing ${filepath} (job ${job.jobId})...`);
+        await signFile(filepath, job.timeout);
+        const sha256 = await hashFile(filepath);
+        const outpath = await moveFileToDir(filepath, outputDir);
+        await writeFile(resultpath, JSON.stringify({ jobId: job.jobId, file: job.file, sha256 }));
+        console.log(`Done ${outpath}.`);
+    } catch (err) {
+        console.error(`ERROR ${filepath} (job ${job.jobId}): ${err}`);
+        try {
+            fs.unlinkSync(filepath);
+        } catch (ex) {
+            // already gone
+        }
+        await writeFile(resultpath, JSON.stringify({
+            jobId: job.jobId,
+            error: err.message,
+            output: err.output
+        })).catch(ex => console.error(`ERROR writing result ${resultpath}: ${ex}`));
+    }
+    try {
+        fs.unlinkSync(jobpath);
+    } catch (ex) {
+        // already gone
+    }
 }
 
 /**
- * Signs file with signtool.
+ * Signs file with signtool (or with --sign-command, if given).
+ *
+ * On failure, rejects with error that has signing tool
+ * output in "output" property.
  *
  * @param filepath executable file path
+ * @param [timeout] timeout in milliseconds
  * @returns Promise<string> signed file path
  */
-function signFile(filepath) {
+function signFile(filepath, timeout = DEFAULT_TIMEOUT) {
+    const done = (fulfill, reject) => (err, stdout, stderr) => {
+        console.log(stdout);
+        console.error(stderr);
+        if (err) {
+            err.output = `${stdout}${stderr}`;
+            return reject(err);
+        }
+        fulfill(filepath);
+    };
+    if (program.signCommand) {
+        return new Promise((fulfill, reject) => {
+            exec(`${program.signCommand} "${filepath}"`, { timeout }, done(fulfill, reject));
+        });
+    }
     return new Promise((fulfill, reject) => {
         const args = [
             'sign',
@@ -112,12 +207,7 @@ function signFile(filepath) {
             args.push('/a');
         }
         args.push(filepath);
-        execFile(signTool, args, (err, stdout, stderr) => {
-            if (err) return reject(err);
-            console.log(stdout);
-            console.error(stderr);
-            fulfill(filepath);
-        });
+        execFile(signTool, args, { timeout }, done(fulfill, reject));
     });
 }
 